@@ -0,0 +1,53 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { parseActivityCsv } from './activity-csv.js';
+
+describe('parseActivityCsv', () => {
+  it('reads the legacy export with a UTC offset in the time column', () => {
+    const [row] = parseActivityCsv(
+      [
+        'Tweet id,Tweet permalink,Tweet text,time,impressions,engagements,retweets,replies,likes',
+        '1001,https://x.com/u/status/1001,"投稿時間は, 昼と夜",2026-10-12 03:00 +0000,"1,200",36,4,2,20',
+      ].join('\n')
+    );
+    assert.deepEqual(row, {
+      tweetId: '1001',
+      postedAt: '2026-10-12T03:00:00.000Z',
+      text: '投稿時間は, 昼と夜',
+      permalink: 'https://x.com/u/status/1001',
+      impressions: 1200,
+      engagements: 36,
+      likes: 20,
+      reposts: 4,
+      replies: 2,
+    });
+  });
+
+  it('reads the current export and marks date-only rows in the given timezone', () => {
+    const rows = parseActivityCsv(
+      [
+        'Date,Post id,Post text,Post Link,Impressions,Likes,Engagements,Reposts,Replies',
+        '"Mon, Oct 12, 2026",2001,本文,https://x.com/u/status/2001,500,8,15,1,0',
+        '2026-10-13,2002,本文2,,300,2,6,0,1',
+      ].join('\n'),
+      'Asia/Tokyo'
+    );
+    assert.equal(rows[0].tweetId, '2001');
+    assert.equal(rows[0].postedAt, '2026-10-11T15:00:00.000Z');
+    assert.equal(rows[0].dateOnly, true);
+    assert.equal(rows[0].reposts, 1);
+    assert.equal(rows[1].postedAt, '2026-10-12T15:00:00.000Z');
+    assert.equal(rows[1].permalink, undefined);
+  });
+
+  it('keeps the time when the current export includes one', () => {
+    const [row] = parseActivityCsv('Post id,Date,Impressions,Engagements\n3001,2026-10-12T12:30:00Z,10,1\n', 'Asia/Tokyo');
+    assert.equal(row.postedAt, '2026-10-12T12:30:00.000Z');
+    assert.equal(row.dateOnly, undefined);
+  });
+
+  it('rejects files without the required columns or with unreadable dates', () => {
+    assert.throws(() => parseActivityCsv('id,text\n1,a\n'), /missing column\(s\) time, impressions, engagements/);
+    assert.throws(() => parseActivityCsv('Post id,Date,Impressions,Engagements\n1,yesterday,1,1\n'), /Unrecognized timestamp/);
+  });
+});
@@ -0,0 +1,101 @@
+/**
+ * X アナリティクスのツイートアクティビティ CSV の読み取り
+ *
+ * 旧形式 (Tweet id, time, impressions, engagements, ...) と
+ * 新形式 (Post id, Date, Impressions, Engagements, ...) の両方の見出しに対応する。
+ * 新形式の Date は時刻を含まない ("Mon, Oct 12, 2026") ため、timezone の0時として扱い、
+ * 投稿時間帯の集計から除外できるよう dateOnly を付ける。
+ */
+
+import { parseCsv } from '../knowledge/extractors.js';
+import { zonedTime } from '../posts/scheduler/config.js';
+
+export interface TweetActivity {
+  tweetId: string;
+  postedAt: string;
+  /** 日付のみで時刻が分からない (postedAt は timezone の0時) */
+  dateOnly?: boolean;
+  text: string;
+  permalink?: string;
+  impressions: number;
+  engagements: number;
+  likes: number;
+  reposts: number;
+  replies: number;
+}
+
+type Column = Exclude<keyof TweetActivity, 'dateOnly'>;
+
+const COLUMNS: Record<Column, string[]> = {
+  tweetId: ['tweet id', 'post id', 'id'],
+  postedAt: ['time', 'date', 'created at'],
+  text: ['tweet text', 'post text', 'text'],
+  permalink: ['tweet permalink', 'post link', 'permalink'],
+  impressions: ['impressions'],
+  engagements: ['engagements'],
+  likes: ['likes'],
+  reposts: ['retweets', 'reposts'],
+  replies: ['replies'],
+};
+
+const REQUIRED: Column[] = ['tweetId', 'postedAt', 'impressions', 'engagements'];
+
+/**
+ * @param timezone 時刻を含まない日付を解釈するタイムゾーン (schedule.json の timezone)
+ */
+export function parseActivityCsv(source: string, timezone: string = 'UTC'): TweetActivity[] {
+  const [header, ...rows] = parseCsv(source);
+  if (!header) {
+    return [];
+  }
+
+  const normalized = header.map((h) => h.trim().toLowerCase());
+  const index = {} as Record<Column, number>;
+  for (const [field, aliases] of Object.entries(COLUMNS) as [Column, string[]][]) {
+    index[field] = normalized.findIndex((h) => aliases.includes(h));
+  }
+
+  const missing = REQUIRED.filter((field) => index[field] < 0);
+  if (missing.length > 0) {
+    throw new Error(`Not a tweet activity export: missing column(s) ${missing.map((f) => COLUMNS[f][0]).join(', ')}`);
+  }
+
+  const cell = (row: string[], field: Column) => (index[field] >= 0 ? row[index[field]]?.trim() ?? '' : '');
+  const count = (row: string[], field: Column) => {
+    const value = parseFloat(cell(row, field).replace(/,/g, ''));
+    return Number.isFinite(value) ? value : 0;
+  };
+
+  return rows.map((row) => ({
+    tweetId: cell(row, 'tweetId'),
+    ...parseTimestamp(cell(row, 'postedAt'), timezone),
+    text: cell(row, 'text'),
+    permalink: cell(row, 'permalink') || undefined,
+    impressions: count(row, 'impressions'),
+    engagements: count(row, 'engagements'),
+    likes: count(row, 'likes'),
+    reposts: count(row, 'reposts'),
+    replies: count(row, 'replies'),
+  }));
+}
+
+/**
+ * "2024-01-15 03:00 +0000" や "Mon, Jan 15, 2024" などを ISO8601 に変換する
+ */
+function parseTimestamp(value: string, timezone: string): Pick<TweetActivity, 'postedAt' | 'dateOnly'> {
+  const legacy = value.match(/^(\d{4}-\d{2}-\d{2}) (\d{2}:\d{2}) ([+-]\d{2})(\d{2})$/);
+  const date = new Date(legacy ? `${legacy[1]}T${legacy[2]}:00${legacy[3]}:${legacy[4]}` : value);
+  if (isNaN(date.getTime())) {
+    throw new Error(`Unrecognized timestamp in activity export: ${value}`);
+  }
+  if (/\d:\d{2}/.test(value)) {
+    return { postedAt: date.toISOString() };
+  }
+
+  // 日付のみ。"2026-10-12" は UTC、それ以外はこのマシンのローカル時刻の0時として解釈されるので、暦日だけを取り出す
+  const iso = /^\d{4}-\d{2}-\d{2}$/.test(value);
+  const day = iso
+    ? { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() }
+    : { year: date.getFullYear(), month: date.getMonth() + 1, day: date.getDate() };
+  return { postedAt: zonedTime(day, '00:00', timezone).toISOString(), dateOnly: true };
+}
@@ -0,0 +1,114 @@
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { afterEach, beforeEach, describe, it } from 'node:test';
+import { HistoryStore, type HistoryEntry } from '../posts/history/store.js';
+import { PublishQueue } from '../posts/scheduler/queue.js';
+import type { TweetActivity } from './activity-csv.js';
+import { MetricsStore } from './metrics-store.js';
+
+const THREAD = [
+  '🧵 1/3\n投稿の反応は時間帯と冒頭の一文でほぼ決まります。',
+  '2/3 【投稿時間】\n\n平日は12時台と21時台に反応が集中します。',
+  '3/3 【まとめ】\n\n時間帯を固定して効果を比べましょう。',
+];
+
+function entry(id: string, status: HistoryEntry['status'], tweets: string[]): HistoryEntry {
+  return {
+    id,
+    createdAt: '2026-10-01T00:00:00.000Z',
+    topic: `${id} のトピック`,
+    category: 'analytics',
+    format: tweets.length > 1 ? 'thread' : 'single',
+    pattern: '問題提起型',
+    style: 'professional',
+    provider: { name: 'mock', model: 'mock' },
+    retrieval: 'keyword',
+    content: { text: tweets.join('\n\n'), tweets: tweets.length > 1 ? tweets : undefined },
+    sources: [],
+    usage: { inputTokens: 0, outputTokens: 0 },
+    status,
+    contentHash: id,
+    updatedAt: '2026-10-01T00:00:00.000Z',
+  };
+}
+
+function activity(tweetId: string, text: string, impressions = 100): TweetActivity {
+  return { tweetId, postedAt: '2026-10-06T03:00:00.000Z', text, impressions, engagements: 3, likes: 2, reposts: 1, replies: 0 };
+}
+
+describe('MetricsStore.import', () => {
+  let dir: string;
+  let history: HistoryStore;
+  let queue: PublishQueue;
+  let store: MetricsStore;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'metrics-'));
+    history = new HistoryStore(path.join(dir, 'generated-posts'));
+    queue = new PublishQueue(path.join(dir, 'publish-queue.json'));
+    store = new MetricsStore(path.join(dir, 'post-metrics.json'));
+    await fs.mkdir(history.dir, { recursive: true });
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  async function save(...entries: HistoryEntry[]) {
+    for (const e of entries) {
+      await fs.writeFile(path.join(history.dir, `${e.id}.json`), JSON.stringify(e));
+    }
+  }
+
+  it('matches tweets by the IDs the scheduler published', async () => {
+    await save(entry('t1', 'posted', THREAD));
+    queue.add({
+      postId: 't1',
+      slot: '2026-10-06T03:00:00.000Z',
+      profile: 'general',
+      category: 'analytics',
+      status: 'published',
+      attempts: 1,
+      externalIds: ['101', '102', '103'],
+    });
+    await queue.save();
+
+    const summary = await store.import([activity('101', '本文は編集済み'), activity('103', '')], history, queue);
+    assert.deepEqual(summary, { imported: 2, updated: 0, matched: 2, unmatched: 0 });
+    const metrics = await store.load();
+    assert.deepEqual(
+      metrics.map((m) => [m.tweetId, m.postId, m.matchedBy, m.pattern]),
+      [
+        ['101', 't1', 'tweet-id', '問題提起型'],
+        ['103', 't1', 'tweet-id', '問題提起型'],
+      ]
+    );
+  });
+
+  it('falls back to the closest posted tweet by text', async () => {
+    await save(entry('t1', 'posted', THREAD), entry('d1', 'draft', ['平日は12時台と21時台に反応が集中します。']));
+
+    const summary = await store.import(
+      [activity('201', THREAD[1]), activity('202', '全く関係のない告知です。')],
+      history,
+      queue
+    );
+    assert.deepEqual(summary, { imported: 2, updated: 0, matched: 1, unmatched: 1 });
+    const [matchedMetric, unmatched] = await store.load().then((m) => m.sort((a, b) => a.tweetId.localeCompare(b.tweetId)));
+    assert.equal(matchedMetric.postId, 't1');
+    assert.equal(matchedMetric.matchedBy, 'text');
+    assert.equal(matchedMetric.topic, 't1 のトピック');
+    assert.equal(unmatched.postId, undefined);
+  });
+
+  it('overwrites a tweet with the values from the newer export', async () => {
+    await store.import([activity('301', 'a', 100)], history, queue);
+    const summary = await store.import([activity('301', 'a', 250)], history, queue);
+    assert.equal(summary.updated, 1);
+    const metrics = await store.load();
+    assert.equal(metrics.length, 1);
+    assert.equal(metrics[0].impressions, 250);
+  });
+});
@@ -0,0 +1,129 @@
+/**
+ * 投稿メトリクスの保存と履歴との突き合わせ
+ *
+ * knowledge/history/analytics/post-metrics.json にツイート単位で保存する。
+ * 取り込み時に生成履歴と突き合わせ、トピック・カテゴリ・テンプレート等を一緒に保存するため、
+ * レポートは生成履歴がない環境 (CI) でもこのファイルだけで作成できる。
+ */
+
+import { promises as fs } from 'fs';
+import * as path from 'path';
+import { jaccard, shingles } from '../posts/history/similarity.js';
+import type { HistoryEntry, HistoryStore } from '../posts/history/store.js';
+import type { PublishQueue } from '../posts/scheduler/queue.js';
+import type { TweetActivity } from './activity-csv.js';
+
+export const DEFAULT_METRICS_PATH = path.join('knowledge', 'history', 'analytics', 'post-metrics.json');
+
+/** 本文の類似度でひも付ける場合の下限 */
+const TEXT_MATCH_THRESHOLD = 0.6;
+
+export interface PostMetric extends TweetActivity {
+  importedAt: string;
+  /** ひも付いた生成履歴 (見つからなければ未設定) */
+  postId?: string;
+  matchedBy?: 'tweet-id' | 'text';
+  topic?: string;
+  category?: string;
+  format?: string;
+  pattern?: string;
+  style?: string;
+}
+
+export interface ImportSummary {
+  imported: number;
+  updated: number;
+  matched: number;
+  unmatched: number;
+}
+
+export class MetricsStore {
+  readonly filePath: string;
+
+  constructor(filePath: string = DEFAULT_METRICS_PATH) {
+    this.filePath = filePath;
+  }
+
+  async load(): Promise<PostMetric[]> {
+    try {
+      return JSON.parse(await fs.readFile(this.filePath, 'utf-8')).metrics;
+    } catch (error: any) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * CSV の行を履歴と突き合わせて保存する。同じツイートIDは新しい値で上書きする。
+   */
+  async import(activities: TweetActivity[], history: HistoryStore, queue: PublishQueue): Promise<ImportSummary> {
+    const existing = new Map((await this.load()).map((m) => [m.tweetId, m]));
+    const entries = await history.list();
+    const byTweetId = new Map<string, HistoryEntry>();
+    for (const item of await queue.load()) {
+      const entry = entries.find((e) => e.id === item.postId);
+      for (const tweetId of item.externalIds ?? []) {
+        if (entry) {
+          byTweetId.set(tweetId, entry);
+        }
+      }
+    }
+    const posted = entries.filter((entry) => entry.status === 'posted');
+    const summary: ImportSummary = { imported: 0, updated: 0, matched: 0, unmatched: 0 };
+    const importedAt = new Date().toISOString();
+
+    for (const activity of activities) {
+      let entry = byTweetId.get(activity.tweetId);
+      let matchedBy: PostMetric['matchedBy'] = entry ? 'tweet-id' : undefined;
+      if (!entry && activity.text) {
+        entry = matchByText(activity.text, posted);
+        matchedBy = entry ? 'text' : undefined;
+      }
+
+      const metric: PostMetric = {
+        ...activity,
+        importedAt,
+        ...(entry && {
+          postId: entry.id,
+          matchedBy,
+          topic: entry.topic,
+          category: entry.category,
+          format: entry.format,
+          pattern: entry.pattern,
+          style: entry.style,
+        }),
+      };
+
+      summary[existing.has(activity.tweetId) ? 'updated' : 'imported']++;
+      summary[entry ? 'matched' : 'unmatched']++;
+      existing.set(activity.tweetId, metric);
+    }
+
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    const metrics = [...existing.values()].sort((a, b) => a.postedAt.localeCompare(b.postedAt));
+    await fs.writeFile(this.filePath, JSON.stringify({ metrics }, null, 2) + '\n', 'utf-8');
+
+    return summary;
+  }
+}
+
+/**
+ * スレッドは各ツイートが別行で出力されるため、履歴のどれかのツイートと比べて最も近いものを選ぶ
+ */
+function matchByText(text: string, entries: HistoryEntry[]): HistoryEntry | undefined {
+  const target = shingles(text);
+  let best: { entry: HistoryEntry; score: number } | undefined;
+
+  for (const entry of entries) {
+    for (const tweet of entry.content.tweets ?? [entry.content.text]) {
+      const score = jaccard(target, shingles(tweet));
+      if (score >= TEXT_MATCH_THRESHOLD && (!best || score > best.score)) {
+        best = { entry, score };
+      }
+    }
+  }
+
+  return best?.entry;
+}
@@ -0,0 +1,107 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import type { PostMetric } from './metrics-store.js';
+import { buildKpiReport, renderMarkdown, type ReportOptions } from './report.js';
+
+const OPTIONS: ReportOptions = {
+  since: new Date('2026-10-05T00:00:00Z'),
+  until: new Date('2026-10-12T00:00:00Z'),
+  timezone: 'Asia/Tokyo',
+  currentSlots: ['12:00', '21:00'],
+};
+
+function metric(tweetId: string, postedAt: string, impressions: number, engagements: number, extra: Partial<PostMetric> = {}): PostMetric {
+  return {
+    tweetId,
+    postedAt,
+    text: `${tweetId} の本文`,
+    impressions,
+    engagements,
+    likes: 0,
+    reposts: 0,
+    replies: 0,
+    importedAt: '2026-10-12T00:00:00.000Z',
+    ...extra,
+  };
+}
+
+function matched(postId: string, pattern: string, extra: Partial<PostMetric> = {}): Partial<PostMetric> {
+  return { postId, matchedBy: 'tweet-id', topic: postId, category: 'marketing', format: 'single', pattern, style: 'professional', ...extra };
+}
+
+describe('buildKpiReport', () => {
+  it('counts the tweets of a thread as one post', () => {
+    const thread = matched('t1', 'スレッド', { format: 'thread' });
+    const report = buildKpiReport(
+      [
+        metric('1', '2026-10-06T03:00:00Z', 1000, 30, thread),
+        metric('2', '2026-10-06T03:00:05Z', 400, 4, thread),
+        metric('3', '2026-10-06T03:00:10Z', 100, 1, thread),
+      ],
+      OPTIONS
+    );
+    assert.equal(report.totals.tweets, 3);
+    assert.equal(report.totals.posts, 1);
+    assert.deepEqual(report.topPosts[0].tweetIds, ['1', '2', '3']);
+    assert.equal(report.topPosts[0].impressions, 1500);
+    assert.equal(report.topPosts[0].engagementRate, 35 / 1500);
+    assert.deepEqual(
+      report.breakdowns.hour.map((h) => h.key),
+      ['12時台']
+    );
+  });
+
+  it('leaves out metrics outside the period', () => {
+    const report = buildKpiReport(
+      [metric('1', '2026-10-04T23:59:59Z', 100, 10), metric('2', '2026-10-12T00:00:00Z', 100, 10), metric('3', '2026-10-06T00:00:00Z', 100, 1)],
+      OPTIONS
+    );
+    assert.equal(report.totals.posts, 1);
+    assert.equal(report.totals.engagementRate, 0.01);
+  });
+
+  it('recommends only groups with enough posts', () => {
+    const report = buildKpiReport(
+      [
+        metric('1', '2026-10-06T03:00:00Z', 1000, 40, matched('a1', '問題提起型')),
+        metric('2', '2026-10-07T03:00:00Z', 1000, 30, matched('a2', '問題提起型')),
+        metric('3', '2026-10-06T12:00:00Z', 1000, 10, matched('b1', 'リスト型')),
+        metric('4', '2026-10-07T12:00:00Z', 1000, 12, matched('b2', 'リスト型')),
+        // 1件だけのパターンは推奨の根拠にしない
+        metric('5', '2026-10-08T00:00:00Z', 1000, 90, matched('c1', 'ストーリー型')),
+      ],
+      OPTIONS
+    );
+    assert.ok(report.recommendations.includes('構成パターン「問題提起型」の率が最も高い（3.50%）。「リスト型」（1.10%）より優先する'));
+    assert.ok(report.recommendations.includes('構成パターン「リスト型」は目標2.00%未達（1.10%）。構成や切り口の見直しを検討'));
+    assert.ok(!report.recommendations.some((r) => r.includes('ストーリー型')));
+    assert.ok(report.recommendations.some((r) => r.startsWith('反応の良い時間帯: 12時台')));
+    assert.ok(report.recommendations.some((r) => r.startsWith('投稿枠 21:00 は目標未達')));
+  });
+
+  it('suggests adding an hour that performs well but is not a slot yet', () => {
+    const report = buildKpiReport(
+      [metric('1', '2026-10-05T22:00:00Z', 1000, 50), metric('2', '2026-10-06T22:00:00Z', 1000, 30)],
+      OPTIONS
+    );
+    assert.ok(report.recommendations.includes('schedule.json の投稿枠（12:00, 21:00）に 7:00 の追加を検討'));
+    assert.ok(report.recommendations.includes('2件の投稿が生成履歴と照合できませんでした。x-schedule 経由で投稿すると自動でひも付きます'));
+  });
+
+  it('keeps date-only posts out of the hour breakdown and slot recommendations', () => {
+    const report = buildKpiReport(
+      [
+        metric('1', '2026-10-05T15:00:00Z', 1000, 50, { dateOnly: true }),
+        metric('2', '2026-10-06T15:00:00Z', 1000, 40, { dateOnly: true }),
+        metric('3', '2026-10-07T15:00:00Z', 1000, 30, { dateOnly: true }),
+      ],
+      OPTIONS
+    );
+    assert.equal(report.totals.posts, 3);
+    assert.equal(report.totals.postsWithoutTime, 3);
+    assert.deepEqual(report.breakdowns.hour, []);
+    assert.ok(!report.recommendations.some((r) => r.includes('時間帯') || r.includes('投稿枠')));
+    assert.match(renderMarkdown(report), /投稿時刻が不明: 3件/);
+    assert.doesNotMatch(renderMarkdown(report), /## 投稿時間帯別/);
+  });
+});
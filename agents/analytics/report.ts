@@ -0,0 +1,277 @@
+/**
+ * エンゲージメント KPI レポート
+ *
+ * 取り込み済みメトリクスを投稿単位 (スレッドは全ツイート合算) に集計し、
+ * テンプレートのパターン・スタイル・カテゴリ・フォーマット・投稿時間帯ごとの
+ * エンゲージメント率 (エンゲージメント数 / インプレッション数) を出す。
+ * 目標値はスタイルガイド (professional.md) の「2%以上」。
+ * 時刻が分からない (日付のみの) 投稿は投稿時間帯の集計と推奨から除外する。
+ */
+
+import type { PostMetric } from './metrics-store.js';
+
+export const TARGET_ENGAGEMENT_RATE = 0.02;
+/** 推奨の根拠にするのに必要な最低投稿数 */
+const MIN_POSTS_FOR_RECOMMENDATION = 2;
+const UNKNOWN = '(未登録)';
+
+export type Dimension = 'pattern' | 'style' | 'category' | 'format' | 'hour';
+
+export interface GroupStat {
+  key: string;
+  posts: number;
+  impressions: number;
+  engagements: number;
+  engagementRate: number;
+  meetsTarget: boolean;
+}
+
+export interface PostStat {
+  postId?: string;
+  tweetIds: string[];
+  topic: string;
+  postedAt: string;
+  impressions: number;
+  engagements: number;
+  engagementRate: number;
+}
+
+export interface KpiReport {
+  period: { since: string; until: string };
+  timezone: string;
+  targetRate: number;
+  totals: {
+    tweets: number;
+    posts: number;
+    matchedPosts: number;
+    impressions: number;
+    engagements: number;
+    engagementRate: number;
+    /** 時刻が分からず投稿時間帯の集計から除外した投稿数 */
+    postsWithoutTime: number;
+  };
+  breakdowns: Record<Dimension, GroupStat[]>;
+  topPosts: PostStat[];
+  recommendations: string[];
+}
+
+export interface ReportOptions {
+  since: Date;
+  until: Date;
+  timezone: string;
+  targetRate?: number;
+  /** 現在のスケジュールの投稿時刻 ("HH:mm")。時間帯の推奨に使う */
+  currentSlots?: string[];
+}
+
+interface PostAggregate extends PostStat {
+  /** 値がない区分 (時刻不明の hour) には集計しない */
+  dimensions: Record<Dimension, string | undefined>;
+}
+
+export function buildKpiReport(metrics: PostMetric[], options: ReportOptions): KpiReport {
+  const targetRate = options.targetRate ?? TARGET_ENGAGEMENT_RATE;
+  const inPeriod = metrics.filter((m) => {
+    const at = new Date(m.postedAt);
+    return at >= options.since && at < options.until;
+  });
+  const posts = aggregatePosts(inPeriod, options.timezone);
+
+  const impressions = sum(posts, 'impressions');
+  const engagements = sum(posts, 'engagements');
+  const dimensions: Dimension[] = ['pattern', 'style', 'category', 'format', 'hour'];
+  const breakdowns = Object.fromEntries(
+    dimensions.map((dimension) => [dimension, groupBy(posts, dimension, targetRate)])
+  ) as Record<Dimension, GroupStat[]>;
+
+  const report: KpiReport = {
+    period: { since: options.since.toISOString(), until: options.until.toISOString() },
+    timezone: options.timezone,
+    targetRate,
+    totals: {
+      tweets: inPeriod.length,
+      posts: posts.length,
+      matchedPosts: posts.filter((p) => p.postId).length,
+      impressions,
+      engagements,
+      engagementRate: rate(engagements, impressions),
+      postsWithoutTime: posts.filter((p) => p.dimensions.hour === undefined).length,
+    },
+    breakdowns,
+    topPosts: [...posts]
+      .sort((a, b) => b.engagementRate - a.engagementRate)
+      .slice(0, 5)
+      .map(({ dimensions: _dimensions, ...post }) => post),
+    recommendations: [],
+  };
+  report.recommendations = recommend(report, options.currentSlots ?? []);
+  return report;
+}
+
+export function renderMarkdown(report: KpiReport): string {
+  const pct = (value: number) => `${(value * 100).toFixed(2)}%`;
+  const day = (iso: string) => iso.slice(0, 10);
+  const labels: Record<Dimension, string> = {
+    pattern: '構成パターン別',
+    style: 'スタイル別',
+    category: 'カテゴリ別',
+    format: 'フォーマット別',
+    hour: `投稿時間帯別 (${report.timezone})`,
+  };
+
+  const lines = [
+    `# エンゲージメントKPIレポート (${day(report.period.since)} 〜 ${day(report.period.until)})`,
+    '',
+    '## サマリー',
+    '',
+    `- 投稿数: ${report.totals.posts}（ツイート ${report.totals.tweets}、履歴と照合済み ${report.totals.matchedPosts}）`,
+    `- インプレッション: ${report.totals.impressions.toLocaleString('ja-JP')}`,
+    `- エンゲージメント: ${report.totals.engagements.toLocaleString('ja-JP')}`,
+    `- エンゲージメント率: ${pct(report.totals.engagementRate)}（目標 ${pct(report.targetRate)} 以上: ${
+      report.totals.engagementRate >= report.targetRate ? '✅ 達成' : '❌ 未達'
+    }）`,
+  ];
+  if (report.totals.postsWithoutTime > 0) {
+    lines.push(`- 投稿時刻が不明: ${report.totals.postsWithoutTime}件（日付のみのエクスポート。投稿時間帯別の集計から除外）`);
+  }
+
+  for (const [dimension, stats] of Object.entries(report.breakdowns) as [Dimension, GroupStat[]][]) {
+    if (stats.length === 0) {
+      continue;
+    }
+    lines.push('', `## ${labels[dimension]}`, '', '| 区分 | 投稿数 | インプレッション | エンゲージメント | 率 | 目標 |', '|---|---:|---:|---:|---:|:---:|');
+    for (const stat of stats) {
+      lines.push(
+        `| ${stat.key} | ${stat.posts} | ${stat.impressions.toLocaleString('ja-JP')} | ${stat.engagements.toLocaleString('ja-JP')} | ${pct(stat.engagementRate)} | ${stat.meetsTarget ? '✅' : '❌'} |`
+      );
+    }
+  }
+
+  if (report.topPosts.length > 0) {
+    lines.push('', '## エンゲージメント率の高い投稿', '');
+    report.topPosts.forEach((post, i) => {
+      lines.push(`${i + 1}. ${post.topic}（${pct(post.engagementRate)}, ${post.impressions.toLocaleString('ja-JP')} imp）`);
+    });
+  }
+
+  lines.push('', '## 推奨アクション', '');
+  lines.push(...(report.recommendations.length > 0 ? report.recommendations.map((r) => `- ${r}`) : ['- データが不足しています']));
+
+  return lines.join('\n') + '\n';
+}
+
+function aggregatePosts(metrics: PostMetric[], timezone: string): PostAggregate[] {
+  const groups = new Map<string, PostMetric[]>();
+  for (const metric of metrics) {
+    const key = metric.postId ?? `tweet:${metric.tweetId}`;
+    groups.set(key, [...(groups.get(key) ?? []), metric]);
+  }
+
+  return [...groups.values()].map((tweets) => {
+    const first = [...tweets].sort((a, b) => a.postedAt.localeCompare(b.postedAt))[0];
+    const impressions = sum(tweets, 'impressions');
+    const engagements = sum(tweets, 'engagements');
+    return {
+      postId: first.postId,
+      tweetIds: tweets.map((t) => t.tweetId),
+      topic: first.topic ?? first.text.replace(/\s+/g, ' ').slice(0, 30),
+      postedAt: first.postedAt,
+      impressions,
+      engagements,
+      engagementRate: rate(engagements, impressions),
+      dimensions: {
+        pattern: first.pattern ?? (first.format === 'thread' ? 'スレッド' : UNKNOWN),
+        style: first.style ?? UNKNOWN,
+        category: first.category ?? UNKNOWN,
+        format: first.format ?? UNKNOWN,
+        hour: first.dateOnly ? undefined : `${localHour(first.postedAt, timezone)}時台`,
+      },
+    };
+  });
+}
+
+function groupBy(posts: PostAggregate[], dimension: Dimension, targetRate: number): GroupStat[] {
+  const groups = new Map<string, PostAggregate[]>();
+  for (const post of posts) {
+    const key = post.dimensions[dimension];
+    if (key === undefined) {
+      continue;
+    }
+    groups.set(key, [...(groups.get(key) ?? []), post]);
+  }
+
+  const stats = [...groups.entries()].map(([key, group]) => {
+    const impressions = sum(group, 'impressions');
+    const engagements = sum(group, 'engagements');
+    const engagementRate = rate(engagements, impressions);
+    return { key, posts: group.length, impressions, engagements, engagementRate, meetsTarget: engagementRate >= targetRate };
+  });
+
+  return dimension === 'hour'
+    ? stats.sort((a, b) => parseInt(a.key, 10) - parseInt(b.key, 10))
+    : stats.sort((a, b) => b.engagementRate - a.engagementRate);
+}
+
+function recommend(report: KpiReport, currentSlots: string[]): string[] {
+  const pct = (value: number) => `${(value * 100).toFixed(2)}%`;
+  const reliable = (stats: GroupStat[]) =>
+    stats.filter((s) => s.posts >= MIN_POSTS_FOR_RECOMMENDATION && s.key !== UNKNOWN);
+  const recommendations: string[] = [];
+
+  for (const [dimension, label] of [
+    ['pattern', '構成パターン'],
+    ['style', 'スタイル'],
+    ['category', 'カテゴリ'],
+  ] as const) {
+    const stats = reliable(report.breakdowns[dimension]);
+    if (stats.length >= 2) {
+      const best = stats[0];
+      const worst = stats[stats.length - 1];
+      recommendations.push(
+        `${label}「${best.key}」の率が最も高い（${pct(best.engagementRate)}）。「${worst.key}」（${pct(worst.engagementRate)}）より優先する`
+      );
+    }
+    for (const stat of stats.filter((s) => !s.meetsTarget)) {
+      recommendations.push(`${label}「${stat.key}」は目標${pct(report.targetRate)}未達（${pct(stat.engagementRate)}）。構成や切り口の見直しを検討`);
+    }
+  }
+
+  const hours = reliable(report.breakdowns.hour).sort((a, b) => b.engagementRate - a.engagementRate);
+  const scheduled = new Set(currentSlots.map((slot) => parseInt(slot, 10)));
+  const top = hours.filter((h) => h.meetsTarget).slice(0, 3);
+  if (top.length > 0) {
+    recommendations.push(`反応の良い時間帯: ${top.map((h) => `${h.key}（${pct(h.engagementRate)}）`).join('、')}`);
+    const missing = top.filter((h) => !scheduled.has(parseInt(h.key, 10)));
+    if (currentSlots.length > 0 && missing.length > 0) {
+      recommendations.push(
+        `schedule.json の投稿枠（${currentSlots.join(', ')}）に ${missing.map((h) => `${parseInt(h.key, 10)}:00`).join(', ')} の追加を検討`
+      );
+    }
+  }
+  for (const hour of hours.filter((h) => !h.meetsTarget && scheduled.has(parseInt(h.key, 10)))) {
+    recommendations.push(`投稿枠 ${parseInt(hour.key, 10)}:00 は目標未達（${pct(hour.engagementRate)}）。時間帯の変更を検討`);
+  }
+
+  if (report.totals.posts > 0 && report.totals.matchedPosts < report.totals.posts) {
+    recommendations.push(
+      `${report.totals.posts - report.totals.matchedPosts}件の投稿が生成履歴と照合できませんでした。x-schedule 経由で投稿すると自動でひも付きます`
+    );
+  }
+
+  return recommendations;
+}
+
+function localHour(iso: string, timezone: string): number {
+  const hour = new Intl.DateTimeFormat('en-US', { timeZone: timezone, hour: 'numeric', hourCycle: 'h23' }).format(
+    new Date(iso)
+  );
+  return parseInt(hour, 10);
+}
+
+function sum<T extends { impressions: number; engagements: number }>(items: T[], field: 'impressions' | 'engagements'): number {
+  return items.reduce((total, item) => total + item[field], 0);
+}
+
+function rate(engagements: number, impressions: number): number {
+  return impressions > 0 ? engagements / impressions : 0;
+}
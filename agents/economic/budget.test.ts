@@ -0,0 +1,79 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { evaluateBudget, parseBudget, type BudgetConfig } from './budget.js';
+
+const budget: BudgetConfig = {
+  monthlyBudgetUsd: 500,
+  warningThreshold: 0.8,
+  emergencyThreshold: 1.5,
+  disableWorkflows: [],
+};
+
+describe('evaluateBudget', () => {
+  it('is OK below the warning threshold', () => {
+    const result = evaluateBudget(399.99, budget);
+    assert.equal(result.status, 'OK');
+    assert.equal(result.warningAmountUsd, 400);
+    assert.equal(result.emergencyAmountUsd, 750);
+  });
+
+  it('is OK with no spend', () => {
+    const result = evaluateBudget(0, budget);
+    assert.equal(result.status, 'OK');
+    assert.equal(result.consumptionRate, 0);
+  });
+
+  it('warns exactly at the warning threshold', () => {
+    assert.equal(evaluateBudget(400, budget).status, 'WARNING');
+  });
+
+  it('warns between the warning and emergency thresholds', () => {
+    const result = evaluateBudget(600, budget);
+    assert.equal(result.status, 'WARNING');
+    assert.equal(result.consumptionRate, 1.2);
+  });
+
+  it('trips exactly at the emergency threshold', () => {
+    assert.equal(evaluateBudget(750, budget).status, 'EMERGENCY');
+  });
+
+  it('trips above the emergency threshold', () => {
+    assert.equal(evaluateBudget(1000, budget).status, 'EMERGENCY');
+  });
+
+  it('rejects negative or non-finite costs', () => {
+    assert.throws(() => evaluateBudget(-1, budget));
+    assert.throws(() => evaluateBudget(NaN, budget));
+  });
+});
+
+describe('parseBudget', () => {
+  it('reads the BUDGET.yml structure', () => {
+    const config = parseBudget(`
+monthly_budget_usd: 500
+thresholds:
+  warning: 0.8
+  emergency: 1.5
+emergency_actions:
+  disable_workflows:
+    - agent-runner.yml
+`);
+    assert.deepEqual(config, {
+      monthlyBudgetUsd: 500,
+      warningThreshold: 0.8,
+      emergencyThreshold: 1.5,
+      disableWorkflows: ['agent-runner.yml'],
+    });
+  });
+
+  it('rejects a missing budget', () => {
+    assert.throws(() => parseBudget('thresholds:\n  warning: 0.8\n  emergency: 1.5\n'), /monthly_budget_usd/);
+  });
+
+  it('rejects a warning threshold at or above the emergency threshold', () => {
+    assert.throws(
+      () => parseBudget('monthly_budget_usd: 500\nthresholds:\n  warning: 1.5\n  emergency: 1.5\n'),
+      /lower than/
+    );
+  });
+});
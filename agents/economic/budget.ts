@@ -0,0 +1,73 @@
+/**
+ * 予算判定 (BUDGET.yml)
+ *
+ * 月次予算に対する消費額から OK / WARNING / EMERGENCY を判定する。
+ * しきい値は予算に対する比率 (warning: 0.8 なら 80%) で、ちょうど到達した時点で上のレベルになる。
+ */
+
+import { promises as fs } from 'fs';
+import { parse } from 'yaml';
+
+export const DEFAULT_BUDGET_PATH = 'BUDGET.yml';
+
+export type BudgetStatus = 'OK' | 'WARNING' | 'EMERGENCY';
+
+export interface BudgetConfig {
+  monthlyBudgetUsd: number;
+  warningThreshold: number;
+  emergencyThreshold: number;
+  disableWorkflows: string[];
+}
+
+export interface BudgetEvaluation {
+  status: BudgetStatus;
+  totalCostUsd: number;
+  consumptionRate: number;
+  warningAmountUsd: number;
+  emergencyAmountUsd: number;
+}
+
+export async function loadBudget(filePath: string = DEFAULT_BUDGET_PATH): Promise<BudgetConfig> {
+  return parseBudget(await fs.readFile(filePath, 'utf-8'));
+}
+
+export function parseBudget(source: string): BudgetConfig {
+  const raw = parse(source) ?? {};
+  const config: BudgetConfig = {
+    monthlyBudgetUsd: Number(raw.monthly_budget_usd),
+    warningThreshold: Number(raw.thresholds?.warning),
+    emergencyThreshold: Number(raw.thresholds?.emergency),
+    disableWorkflows: raw.emergency_actions?.disable_workflows ?? [],
+  };
+
+  if (!(config.monthlyBudgetUsd > 0)) {
+    throw new Error('BUDGET.yml: monthly_budget_usd must be a positive number');
+  }
+  if (!(config.warningThreshold > 0) || !(config.emergencyThreshold > 0)) {
+    throw new Error('BUDGET.yml: thresholds.warning and thresholds.emergency must be positive numbers');
+  }
+  if (config.warningThreshold >= config.emergencyThreshold) {
+    throw new Error('BUDGET.yml: thresholds.warning must be lower than thresholds.emergency');
+  }
+
+  return config;
+}
+
+export function evaluateBudget(totalCostUsd: number, budget: BudgetConfig): BudgetEvaluation {
+  if (!Number.isFinite(totalCostUsd) || totalCostUsd < 0) {
+    throw new Error(`Invalid total cost: ${totalCostUsd}`);
+  }
+
+  const warningAmountUsd = budget.monthlyBudgetUsd * budget.warningThreshold;
+  const emergencyAmountUsd = budget.monthlyBudgetUsd * budget.emergencyThreshold;
+  const status: BudgetStatus =
+    totalCostUsd >= emergencyAmountUsd ? 'EMERGENCY' : totalCostUsd >= warningAmountUsd ? 'WARNING' : 'OK';
+
+  return {
+    status,
+    totalCostUsd,
+    consumptionRate: totalCostUsd / budget.monthlyBudgetUsd,
+    warningAmountUsd,
+    emergencyAmountUsd,
+  };
+}
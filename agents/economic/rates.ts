@@ -0,0 +1,39 @@
+/**
+ * API 料金テーブル (USD / 100万トークン)
+ *
+ * モデルが表にない場合はプロバイダ内で最も高い料金で見積もる
+ * (サーキットブレーカーが過小評価で作動しないことを避けるため)。
+ */
+
+export interface TokenRate {
+  inputPerMillion: number;
+  outputPerMillion: number;
+}
+
+export const RATE_TABLE: Record<string, Record<string, TokenRate>> = {
+  anthropic: {
+    'claude-3-5-sonnet-latest': { inputPerMillion: 3, outputPerMillion: 15 },
+    'claude-3-5-haiku-latest': { inputPerMillion: 0.8, outputPerMillion: 4 },
+    'claude-3-opus-latest': { inputPerMillion: 15, outputPerMillion: 75 },
+  },
+  openai: {
+    'text-embedding-3-small': { inputPerMillion: 0.02, outputPerMillion: 0 },
+    'text-embedding-3-large': { inputPerMillion: 0.13, outputPerMillion: 0 },
+  },
+};
+
+export function rateFor(service: string, model: string): TokenRate {
+  const rates = RATE_TABLE[service];
+  if (!rates) {
+    throw new Error(`No rate table for service: ${service}`);
+  }
+  return (
+    rates[model] ??
+    Object.values(rates).reduce((max, rate) => (rate.inputPerMillion > max.inputPerMillion ? rate : max))
+  );
+}
+
+export function priceTokens(service: string, model: string, inputTokens: number, outputTokens: number): number {
+  const rate = rateFor(service, model);
+  return (inputTokens * rate.inputPerMillion + outputTokens * rate.outputPerMillion) / 1_000_000;
+}
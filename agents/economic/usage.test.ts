@@ -0,0 +1,64 @@
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { after, describe, it } from 'node:test';
+import { monthOf, UsageRecorder } from './usage.js';
+
+describe('UsageRecorder', () => {
+  const dirs: string[] = [];
+
+  async function tempRecorder(): Promise<UsageRecorder> {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'usage-'));
+    dirs.push(dir);
+    return new UsageRecorder(dir);
+  }
+
+  after(async () => {
+    await Promise.all(dirs.map((dir) => fs.rm(dir, { recursive: true, force: true })));
+  });
+
+  it('summarizes cost per service for the month', async () => {
+    const recorder = await tempRecorder();
+    await recorder.record(
+      { service: 'anthropic', operation: 'generation', model: 'claude-3-5-sonnet-latest', inputTokens: 1_000_000, outputTokens: 100_000 },
+      new Date('2026-10-01T00:00:00Z')
+    );
+    await recorder.record(
+      { service: 'openai', operation: 'embedding', model: 'text-embedding-3-small', inputTokens: 500_000, outputTokens: 0 },
+      new Date('2026-10-15T12:00:00Z')
+    );
+
+    const summary = await recorder.summarize('2026-10');
+    assert.equal(summary.calls, 2);
+    assert.equal(summary.byService.anthropic, 4.5);
+    assert.equal(summary.byService.openai, 0.01);
+    assert.equal(summary.totalUsd, 4.51);
+    assert.equal(summary.lastRecordedAt, '2026-10-15T12:00:00.000Z');
+  });
+
+  it('reports the latest call even when lines are merged out of order', async () => {
+    const recorder = await tempRecorder();
+    const line = (timestamp: string) =>
+      JSON.stringify({ timestamp, service: 'openai', operation: 'embedding', model: 'text-embedding-3-small', inputTokens: 0, outputTokens: 0, costUsd: 0 });
+    await fs.writeFile(
+      path.join(recorder.dir, 'usage-2026-10.jsonl'),
+      [line('2026-10-20T00:00:00.000Z'), line('2026-10-03T00:00:00.000Z'), ''].join('\n'),
+      'utf-8'
+    );
+
+    assert.equal((await recorder.summarize('2026-10')).lastRecordedAt, '2026-10-20T00:00:00.000Z');
+  });
+
+  it('returns an empty summary when nothing was recorded', async () => {
+    const summary = await (await tempRecorder()).summarize('2026-09');
+    assert.equal(summary.calls, 0);
+    assert.equal(summary.totalUsd, 0);
+    assert.equal(summary.lastRecordedAt, undefined);
+  });
+
+  it('files records by UTC month', () => {
+    assert.equal(monthOf(new Date('2026-10-31T23:59:59+09:00')), '2026-10');
+    assert.equal(monthOf(new Date('2026-11-01T08:59:59+09:00')), '2026-10');
+  });
+});
@@ -0,0 +1,107 @@
+/**
+ * API 使用量の記録 (.ai/metrics/cost-history/usage-YYYY-MM.jsonl)
+ *
+ * 埋め込み・投稿生成の各 API 呼び出しごとにトークン数と料金を1行ずつ追記する。
+ * API を呼ぶのは x-generate-post / x-knowledge-add を実行した手元のマシンなので、
+ * このファイルはリポジトリにコミットして push し、Economic Circuit Breaker ワークフローが
+ * チェックアウトから集計する。複数のマシンからの追記は .gitattributes の merge=union で行単位に結合される。
+ */
+
+import { promises as fs } from 'fs';
+import * as path from 'path';
+import { priceTokens } from './rates.js';
+
+export const DEFAULT_COST_HISTORY_DIR = path.join('.ai', 'metrics', 'cost-history');
+
+export type UsageOperation = 'embedding' | 'generation';
+
+export interface UsageInput {
+  service: string;
+  operation: UsageOperation;
+  model: string;
+  inputTokens: number;
+  outputTokens: number;
+}
+
+export interface UsageRecord extends UsageInput {
+  timestamp: string;
+  costUsd: number;
+}
+
+export interface UsageSummary {
+  month: string;
+  totalUsd: number;
+  byService: Record<string, number>;
+  calls: number;
+  /** 最後に記録された呼び出しの時刻 (記録がなければ undefined) */
+  lastRecordedAt?: string;
+}
+
+export class UsageRecorder {
+  readonly dir: string;
+
+  constructor(dir: string = DEFAULT_COST_HISTORY_DIR) {
+    this.dir = dir;
+  }
+
+  async record(usage: UsageInput, at: Date = new Date()): Promise<UsageRecord> {
+    const record: UsageRecord = {
+      timestamp: at.toISOString(),
+      ...usage,
+      costUsd: priceTokens(usage.service, usage.model, usage.inputTokens, usage.outputTokens),
+    };
+    await fs.mkdir(this.dir, { recursive: true });
+    await fs.appendFile(this.fileFor(monthOf(at)), JSON.stringify(record) + '\n', 'utf-8');
+    return record;
+  }
+
+  /**
+   * 記録の失敗で本来の処理を止めないための record。失敗時は警告のみ。
+   */
+  async tryRecord(usage: UsageInput): Promise<void> {
+    try {
+      await this.record(usage);
+    } catch (error: any) {
+      console.warn(`⚠️ Failed to record API usage: ${error.message}`);
+    }
+  }
+
+  async read(month: string): Promise<UsageRecord[]> {
+    try {
+      const raw = await fs.readFile(this.fileFor(month), 'utf-8');
+      return raw
+        .split('\n')
+        .filter((line) => line.trim())
+        .map((line) => JSON.parse(line) as UsageRecord);
+    } catch (error: any) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+  }
+
+  async summarize(month: string): Promise<UsageSummary> {
+    const records = await this.read(month);
+    const byService: Record<string, number> = {};
+    for (const record of records) {
+      byService[record.service] = (byService[record.service] ?? 0) + record.costUsd;
+    }
+    return {
+      month,
+      totalUsd: records.reduce((sum, record) => sum + record.costUsd, 0),
+      byService,
+      calls: records.length,
+      lastRecordedAt: records.map((record) => record.timestamp).sort().pop(),
+    };
+  }
+
+  private fileFor(month: string): string {
+    return path.join(this.dir, `usage-${month}.jsonl`);
+  }
+}
+
+/** UTC の "YYYY-MM" */
+export function monthOf(date: Date): string {
+  return date.toISOString().slice(0, 7);
+}
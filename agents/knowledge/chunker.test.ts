@@ -0,0 +1,69 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { RecursiveChunker } from './chunker.js';
+
+const hasBrokenSurrogate = (text: string) =>
+  /[\uD800-\uDBFF](?![\uDC00-\uDFFF])|(?<![\uD800-\uDBFF])[\uDC00-\uDFFF]/.test(text);
+
+describe('RecursiveChunker', () => {
+  it('returns a single chunk for short text', () => {
+    const chunks = new RecursiveChunker({ maxChunkSize: 100, overlap: 10 }).split('  短い文章です。\r\n');
+    assert.deepEqual(chunks, [{ text: '短い文章です。', start: 0 }]);
+  });
+
+  it('returns nothing for blank text', () => {
+    assert.deepEqual(new RecursiveChunker({ maxChunkSize: 100, overlap: 10 }).split(' \n\n '), []);
+  });
+
+  it('splits on paragraphs before sentences and keeps chunks within maxChunkSize', () => {
+    const text = ['一つ目の段落です。', '二つ目の段落です。', '三つ目の段落です。'].join('\n\n');
+    const chunks = new RecursiveChunker({ maxChunkSize: 12, overlap: 0 }).split(text);
+    assert.deepEqual(
+      chunks.map((c) => c.text),
+      ['一つ目の段落です。', '二つ目の段落です。', '三つ目の段落です。']
+    );
+  });
+
+  it('points start at the chunk position in the source', () => {
+    const text = 'あいうえお。かきくけこ。さしすせそ。';
+    const chunks = new RecursiveChunker({ maxChunkSize: 8, overlap: 2 }).split(text);
+    for (const chunk of chunks) {
+      assert.equal(text.slice(chunk.start, chunk.start + chunk.text.length), chunk.text);
+    }
+  });
+
+  it('carries the overlap into the next chunk', () => {
+    const chunks = new RecursiveChunker({ maxChunkSize: 12, overlap: 3 }).split('aaaa bbbb cccc dddd');
+    assert.deepEqual(chunks, [
+      { text: 'aaaa bbbb', start: 0 },
+      { text: 'bb cccc dddd', start: 7 },
+    ]);
+  });
+
+  it('rejects an overlap that is not smaller than maxChunkSize', () => {
+    assert.throws(() => new RecursiveChunker({ maxChunkSize: 10, overlap: 10 }), /overlap/);
+  });
+
+  it('never cuts an emoji in half when hard-splitting', () => {
+    const text = 'a' + '🧵'.repeat(20);
+    const chunks = new RecursiveChunker({ maxChunkSize: 4, overlap: 0 }).split(text);
+    assert.ok(chunks.every((c) => !hasBrokenSurrogate(c.text)));
+    assert.equal(chunks.map((c) => c.text).join(''), text);
+  });
+
+  it('never starts the overlap in the middle of an emoji', () => {
+    const text = Array.from({ length: 10 }, (_, i) => `項目${i}🧵`).join(' ');
+    for (const overlap of [1, 2, 3]) {
+      const chunks = new RecursiveChunker({ maxChunkSize: 8, overlap }).split(text);
+      assert.ok(chunks.every((c) => !hasBrokenSurrogate(c.text)), `overlap ${overlap}`);
+    }
+  });
+
+  it('keeps a surrogate pair whole even when maxChunkSize is 1', () => {
+    const chunks = new RecursiveChunker({ maxChunkSize: 1, overlap: 0 }).split('🧵🧵');
+    assert.deepEqual(
+      chunks.map((c) => c.text),
+      ['🧵', '🧵']
+    );
+  });
+});
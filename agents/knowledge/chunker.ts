@@ -0,0 +1,130 @@
+/**
+ * Recursive Chunker
+ *
+ * 段落 → 行 → 文 → 読点 → 空白 → 文字 の順に区切りを試し、
+ * maxChunkSize 以内に収まるまで再帰的に分割する。
+ * 隣接チャンクは overlap 文字分の末尾を次チャンクの先頭に引き継ぐ。
+ */
+
+import type { ChunkingConfig } from './types.js';
+
+const SEPARATORS = ['\n\n', '\n', '。', '．', '！', '？', '. ', '、', ' ', ''];
+
+export interface TextChunk {
+  text: string;
+  start: number;
+}
+
+export class RecursiveChunker {
+  private readonly maxChunkSize: number;
+  private readonly overlap: number;
+
+  constructor(config: Pick<ChunkingConfig, 'maxChunkSize' | 'overlap'>) {
+    if (config.overlap >= config.maxChunkSize) {
+      throw new Error(
+        `chunking.overlap (${config.overlap}) must be smaller than maxChunkSize (${config.maxChunkSize})`
+      );
+    }
+    this.maxChunkSize = config.maxChunkSize;
+    this.overlap = config.overlap;
+  }
+
+  split(text: string): TextChunk[] {
+    const normalized = text.replace(/\r\n?/g, '\n').trim();
+    if (!normalized) {
+      return [];
+    }
+
+    const pieces = this.splitRecursive(normalized, 0);
+    return this.merge(pieces, normalized);
+  }
+
+  /**
+   * 区切り文字を保持したまま、maxChunkSize 以下の断片に分割する
+   */
+  private splitRecursive(text: string, level: number): string[] {
+    if (text.length <= this.maxChunkSize) {
+      return [text];
+    }
+
+    const separator = SEPARATORS[level];
+    if (separator === '' || level >= SEPARATORS.length - 1) {
+      const parts: string[] = [];
+      for (let i = 0; i < text.length; ) {
+        const boundary = safeBoundary(text, Math.min(i + this.maxChunkSize, text.length));
+        // maxChunkSize が 1 でもサロゲートペアは分割しない
+        const end = boundary > i ? boundary : i + 2;
+        parts.push(text.slice(i, end));
+        i = end;
+      }
+      return parts;
+    }
+
+    const segments = splitKeepingSeparator(text, separator);
+    if (segments.length === 1) {
+      return this.splitRecursive(text, level + 1);
+    }
+
+    return segments.flatMap((segment) =>
+      segment.length > this.maxChunkSize ? this.splitRecursive(segment, level + 1) : [segment]
+    );
+  }
+
+  /**
+   * 断片を maxChunkSize まで結合し、overlap 分を引き継ぎながらチャンク化する
+   */
+  private merge(pieces: string[], source: string): TextChunk[] {
+    const chunks: TextChunk[] = [];
+    let current = '';
+    let currentStart = 0;
+    let offset = 0;
+
+    const flush = () => {
+      const trimmed = current.trim();
+      if (trimmed) {
+        const leading = current.length - current.trimStart().length;
+        chunks.push({ text: trimmed, start: currentStart + leading });
+      }
+    };
+
+    for (const piece of pieces) {
+      if (current && current.length + piece.length > this.maxChunkSize) {
+        flush();
+        const carry =
+          this.overlap > 0 ? current.slice(safeBoundary(current, Math.max(0, current.length - this.overlap), 1)) : '';
+        const fits = carry.length + piece.length <= this.maxChunkSize;
+        current = fits ? carry : '';
+        currentStart = fits ? offset - carry.length : offset;
+      }
+      if (!current) {
+        currentStart = offset;
+      }
+      current += piece;
+      offset += piece.length;
+    }
+    flush();
+
+    // start はソース上の位置を指すことを保証する
+    return chunks.map((chunk) => ({
+      text: chunk.text,
+      start: source.startsWith(chunk.text, chunk.start) ? chunk.start : source.indexOf(chunk.text),
+    }));
+  }
+}
+
+/**
+ * index がサロゲートペアの途中なら、direction (-1: 前 / 1: 後) 側の文字境界にずらす
+ */
+function safeBoundary(text: string, index: number, direction: -1 | 1 = -1): number {
+  const low = text.charCodeAt(index);
+  const high = text.charCodeAt(index - 1);
+  const inPair = low >= 0xdc00 && low <= 0xdfff && high >= 0xd800 && high <= 0xdbff;
+  return inPair ? index + direction : index;
+}
+
+function splitKeepingSeparator(text: string, separator: string): string[] {
+  const parts = text.split(separator);
+  return parts
+    .map((part, i) => (i < parts.length - 1 ? part + separator : part))
+    .filter((part) => part.length > 0);
+}
@@ -0,0 +1,77 @@
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { after, before, describe, it } from 'node:test';
+import { KnowledgeIndexStore } from '../index-store.js';
+import { KnowledgeIngestor } from '../ingest.js';
+import { KnowledgeEmbedder } from './embedder.js';
+import { LocalHashEmbeddingProvider } from './local.js';
+import type { EmbeddingProvider } from './provider.js';
+import { EmbeddingStore } from './store.js';
+
+const SWITCHED = { provider: 'test', model: 'flaky', dimension: 4 };
+
+/** 指定した回数だけ成功し、以降は失敗するプロバイダ */
+function flakyProvider(successes: number): EmbeddingProvider {
+  let calls = 0;
+  return {
+    name: SWITCHED.provider,
+    model: SWITCHED.model,
+    dimension: SWITCHED.dimension,
+    async embed(texts) {
+      if (calls++ >= successes) {
+        throw new Error('OPENAI_API_KEY is not set');
+      }
+      return texts.map(() => [1, 0, 0, 0]);
+    },
+  };
+}
+
+describe('KnowledgeEmbedder', () => {
+  let root: string;
+  let store: KnowledgeIndexStore;
+
+  before(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'knowledge-'));
+    const index = JSON.parse(await fs.readFile(path.join('knowledge', 'index.json'), 'utf-8'));
+    index.config.embedding = { provider: 'local', model: 'hashed-ngram-v1', dimension: 512 };
+    await fs.writeFile(path.join(root, 'index.json'), JSON.stringify(index));
+    await fs.mkdir(path.join(root, 'raw'), { recursive: true });
+    await fs.writeFile(path.join(root, 'raw', 'a.md'), '# A\n\nフォロワーを増やす。');
+    await fs.writeFile(path.join(root, 'raw', 'b.md'), '# B\n\n投稿時間を決める。');
+
+    store = new KnowledgeIndexStore(root);
+    await new KnowledgeIngestor(store).ingest([path.join(root, 'raw')]);
+    await new KnowledgeEmbedder(store, new LocalHashEmbeddingProvider()).embed();
+  });
+
+  after(async () => {
+    await fs.rm(root, { recursive: true, force: true });
+  });
+
+  it('keeps existing embeddings when switching providers fails part-way', async () => {
+    const embedder = new KnowledgeEmbedder(store, flakyProvider(1));
+    const results = await embedder.embed({ force: true, config: SWITCHED });
+    assert.deepEqual(
+      results.map((r) => r.status),
+      ['embedded', 'failed']
+    );
+
+    const embeddings = new EmbeddingStore(store);
+    for (const item of store.data.items) {
+      const file = await embeddings.readRaw(item.id);
+      assert.equal(file?.provider, 'local');
+    }
+  });
+
+  it('writes every embedding once switching providers succeeds', async () => {
+    const results = await new KnowledgeEmbedder(store, flakyProvider(2)).embed({ force: true, config: SWITCHED });
+    assert.ok(results.every((r) => r.status === 'embedded'));
+
+    const embeddings = new EmbeddingStore(store);
+    for (const item of store.data.items) {
+      assert.equal((await embeddings.readRaw(item.id))?.provider, 'test');
+    }
+  });
+});
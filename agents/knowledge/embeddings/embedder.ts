@@ -0,0 +1,115 @@
+/**
+ * Knowledge Embedder
+ *
+ * index.json の各アイテムのチャンクを埋め込み、processed/embeddings/ に保存する。
+ * ソースハッシュと provider/model/dimension が一致する既存ファイルは再利用する。
+ */
+
+import { KnowledgeIndexStore } from '../index-store.js';
+import type { EmbeddingConfig } from '../types.js';
+import { assertDimension, createEmbeddingProvider, type EmbeddingProvider } from './provider.js';
+import { describeMismatch, EmbeddingStore, type EmbeddingFile } from './store.js';
+
+export interface EmbedOptions {
+  /** 既存ファイルが有効でも再生成する */
+  force?: boolean;
+  /** 対象アイテムID (未指定時は全件) */
+  itemIds?: string[];
+  /**
+   * index.json の config.embedding の代わりに使う設定 (プロバイダ切り替え用)。
+   * 指定時は全アイテムが成功した場合にのみ埋め込みを書き出す
+   */
+  config?: EmbeddingConfig;
+}
+
+export interface EmbedResult {
+  itemId: string;
+  source: string;
+  status: 'embedded' | 'skipped' | 'failed';
+  vectors?: number;
+  error?: string;
+}
+
+export class KnowledgeEmbedder {
+  private readonly store: KnowledgeIndexStore;
+  private readonly embeddings: EmbeddingStore;
+  private readonly providerOverride: EmbeddingProvider | undefined;
+
+  constructor(store: KnowledgeIndexStore = new KnowledgeIndexStore(), provider?: EmbeddingProvider) {
+    this.store = store;
+    this.embeddings = new EmbeddingStore(store);
+    this.providerOverride = provider;
+  }
+
+  async embed(options: EmbedOptions = {}): Promise<EmbedResult[]> {
+    const index = await this.store.load();
+    const config = options.config ?? index.config.embedding;
+    const provider = this.providerOverride ?? createEmbeddingProvider(config);
+    assertProviderMatches(provider, config);
+
+    const targets = options.itemIds
+      ? index.items.filter((item) => options.itemIds!.includes(item.id))
+      : index.items;
+    const results: EmbedResult[] = [];
+    const pending: EmbeddingFile[] = [];
+
+    for (const item of targets) {
+      try {
+        const existing = await this.embeddings.readRaw(item.id);
+        const upToDate =
+          existing && existing.sourceHash === item.sourceHash && !describeMismatch(existing, config);
+
+        if (upToDate && !options.force) {
+          results.push({ itemId: item.id, source: item.source, status: 'skipped' });
+          continue;
+        }
+
+        const { chunks } = await this.store.readChunkFile(item);
+        const vectors = await provider.embed(chunks.map((chunk) => chunk.text));
+        assertDimension(provider, vectors);
+
+        const file: EmbeddingFile = {
+          itemId: item.id,
+          provider: provider.name,
+          model: provider.model,
+          dimension: provider.dimension,
+          sourceHash: item.sourceHash,
+          createdAt: new Date().toISOString(),
+          vectors: chunks.map((chunk, i) => ({ chunkId: chunk.id, vector: vectors[i] })),
+        };
+        if (options.config) {
+          pending.push(file);
+        } else {
+          await this.embeddings.write(file);
+        }
+        results.push({ itemId: item.id, source: item.source, status: 'embedded', vectors: vectors.length });
+      } catch (error: any) {
+        results.push({ itemId: item.id, source: item.source, status: 'failed', error: error.message });
+      }
+    }
+
+    if (options.config) {
+      if (results.some((r) => r.status === 'failed')) {
+        return results;
+      }
+      for (const file of pending) {
+        await this.embeddings.write(file);
+      }
+    }
+
+    if (!options.itemIds) {
+      await this.embeddings.prune(new Set(index.items.map((item) => item.id)));
+    }
+
+    return results;
+  }
+}
+
+function assertProviderMatches(provider: EmbeddingProvider, config: EmbeddingConfig): void {
+  if (provider.name !== config.provider || provider.model !== config.model || provider.dimension !== config.dimension) {
+    throw new Error(
+      `Embedding provider ${provider.name}/${provider.model} (${provider.dimension}) ` +
+        `does not match config.embedding ${config.provider}/${config.model} (${config.dimension})`
+    );
+  }
+}
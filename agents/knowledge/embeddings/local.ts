@@ -0,0 +1,81 @@
+/**
+ * ローカル埋め込みプロバイダ (オフライン・決定的)
+ *
+ * 文字 n-gram (2〜3文字) と英数字の単語を FNV-1a でハッシュし、
+ * 符号付きで固定次元に射影する (feature hashing)。
+ * 重みは log(1 + tf)、最後に L2 正規化するためコサイン類似度がそのまま使える。
+ * API キーもネットワークも不要で、同じ入力からは常に同じベクトルを返す。
+ */
+
+import type { EmbeddingProvider } from './provider.js';
+
+export const LOCAL_EMBEDDING_MODEL = 'hashed-ngram-v1';
+export const LOCAL_EMBEDDING_DIMENSION = 512;
+
+export interface LocalHashEmbeddingOptions {
+  model?: string;
+  dimension?: number;
+}
+
+export class LocalHashEmbeddingProvider implements EmbeddingProvider {
+  readonly name = 'local';
+  readonly model: string;
+  readonly dimension: number;
+
+  constructor(options: LocalHashEmbeddingOptions = {}) {
+    this.model = options.model ?? LOCAL_EMBEDDING_MODEL;
+    this.dimension = options.dimension ?? LOCAL_EMBEDDING_DIMENSION;
+
+    if (this.model !== LOCAL_EMBEDDING_MODEL) {
+      throw new Error(`Unknown local embedding model: ${this.model} (expected ${LOCAL_EMBEDDING_MODEL})`);
+    }
+  }
+
+  async embed(texts: string[]): Promise<number[][]> {
+    return texts.map((text) => this.embedOne(text));
+  }
+
+  private embedOne(text: string): number[] {
+    const counts = new Map<string, number>();
+    for (const feature of features(text)) {
+      counts.set(feature, (counts.get(feature) ?? 0) + 1);
+    }
+
+    const vector = new Array<number>(this.dimension).fill(0);
+    for (const [feature, tf] of counts) {
+      const hash = fnv1a(feature);
+      const sign = hash & 1 ? 1 : -1;
+      vector[(hash >>> 1) % this.dimension] += sign * Math.log(1 + tf);
+    }
+
+    const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0));
+    return norm > 0 ? vector.map((v) => v / norm) : vector;
+  }
+}
+
+function* features(text: string): Generator<string> {
+  const normalized = text.normalize('NFKC').toLowerCase();
+
+  for (const word of normalized.match(/[a-z0-9]+/g) ?? []) {
+    yield `w:${word}`;
+  }
+
+  const chars = Array.from(normalized.replace(/\s+/g, ' '));
+  for (const n of [2, 3]) {
+    for (let i = 0; i + n <= chars.length; i++) {
+      const gram = chars.slice(i, i + n).join('');
+      if (gram.trim().length === n) {
+        yield `c${n}:${gram}`;
+      }
+    }
+  }
+}
+
+function fnv1a(input: string): number {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < input.length; i++) {
+    hash ^= input.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
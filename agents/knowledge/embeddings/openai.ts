@@ -0,0 +1,79 @@
+/**
+ * OpenAI Embeddings API プロバイダ
+ */
+
+import { UsageRecorder } from '../../economic/usage.js';
+import type { EmbeddingProvider } from './provider.js';
+
+const ENDPOINT = 'https://api.openai.com/v1/embeddings';
+const BATCH_SIZE = 100;
+
+export interface OpenAIEmbeddingOptions {
+  model: string;
+  dimension: number;
+  apiKey?: string;
+  /** トークン使用量の記録先 (null で記録しない) */
+  recorder?: UsageRecorder | null;
+}
+
+interface EmbeddingResponse {
+  data: { index: number; embedding: number[] }[];
+  usage?: { prompt_tokens: number; total_tokens: number };
+}
+
+export class OpenAIEmbeddingProvider implements EmbeddingProvider {
+  readonly name = 'openai';
+  readonly model: string;
+  readonly dimension: number;
+  private readonly apiKey: string | undefined;
+  private readonly recorder: UsageRecorder | null;
+
+  constructor(options: OpenAIEmbeddingOptions) {
+    this.model = options.model;
+    this.dimension = options.dimension;
+    this.apiKey = options.apiKey ?? process.env.OPENAI_API_KEY;
+    this.recorder = options.recorder === undefined ? new UsageRecorder() : options.recorder;
+  }
+
+  async embed(texts: string[]): Promise<number[][]> {
+    if (!this.apiKey) {
+      throw new Error(
+        'OPENAI_API_KEY is not set. Use the local provider for offline use: ' +
+          '`npx tsx scripts/x-knowledge-reembed.ts --provider local`'
+      );
+    }
+
+    const vectors: number[][] = [];
+    for (let i = 0; i < texts.length; i += BATCH_SIZE) {
+      vectors.push(...(await this.request(texts.slice(i, i + BATCH_SIZE))));
+    }
+    return vectors;
+  }
+
+  private async request(input: string[]): Promise<number[][]> {
+    const response = await fetch(ENDPOINT, {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${this.apiKey}`,
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ model: this.model, input, dimensions: this.dimension }),
+    });
+
+    if (!response.ok) {
+      throw new Error(`OpenAI embeddings request failed: ${response.status} ${await response.text()}`);
+    }
+
+    const body = (await response.json()) as EmbeddingResponse;
+    if (body.usage) {
+      await this.recorder?.tryRecord({
+        service: 'openai',
+        operation: 'embedding',
+        model: this.model,
+        inputTokens: body.usage.prompt_tokens,
+        outputTokens: 0,
+      });
+    }
+    return body.data.sort((a, b) => a.index - b.index).map((d) => d.embedding);
+  }
+}
@@ -0,0 +1,52 @@
+/**
+ * Embedding Provider インターフェース
+ *
+ * index.json の config.embedding.provider で実装を切り替える。
+ * - openai: OpenAI Embeddings API (OPENAI_API_KEY 必須)
+ * - local:  ハッシュ化 n-gram によるオフライン決定的ベクトル
+ */
+
+import type { EmbeddingConfig } from '../types.js';
+import { LocalHashEmbeddingProvider } from './local.js';
+import { OpenAIEmbeddingProvider } from './openai.js';
+
+export interface EmbeddingProvider {
+  readonly name: string;
+  readonly model: string;
+  readonly dimension: number;
+  embed(texts: string[]): Promise<number[][]>;
+}
+
+export class EmbeddingConfigMismatchError extends Error {
+  constructor(message: string) {
+    super(`${message}. Run \`npx tsx scripts/x-knowledge-reembed.ts\` to rebuild embeddings.`);
+    this.name = 'EmbeddingConfigMismatchError';
+  }
+}
+
+export const EMBEDDING_PROVIDERS = ['openai', 'local'] as const;
+
+export function createEmbeddingProvider(config: EmbeddingConfig): EmbeddingProvider {
+  switch (config.provider) {
+    case 'openai':
+      return new OpenAIEmbeddingProvider({ model: config.model, dimension: config.dimension });
+    case 'local':
+      return new LocalHashEmbeddingProvider({ model: config.model, dimension: config.dimension });
+    default:
+      throw new Error(
+        `Unknown embedding provider: ${config.provider} (expected one of ${EMBEDDING_PROVIDERS.join(', ')})`
+      );
+  }
+}
+
+/**
+ * プロバイダが返したベクトルが config.embedding.dimension と一致するか検証する
+ */
+export function assertDimension(provider: EmbeddingProvider, vectors: number[][]): void {
+  const wrong = vectors.find((vector) => vector.length !== provider.dimension);
+  if (wrong) {
+    throw new EmbeddingConfigMismatchError(
+      `${provider.name}/${provider.model} returned ${wrong.length}-dim vectors, expected ${provider.dimension}`
+    );
+  }
+}
@@ -0,0 +1,99 @@
+/**
+ * processed/embeddings/ のベクトル保存
+ *
+ * 1アイテム1ファイル (<itemId>.json)。生成時の provider/model/dimension と
+ * ソースハッシュを記録し、config.embedding と食い違うファイルは読み込み時に拒否する。
+ */
+
+import { promises as fs } from 'fs';
+import * as path from 'path';
+import type { KnowledgeIndexStore } from '../index-store.js';
+import type { EmbeddingConfig, KnowledgeItem } from '../types.js';
+import { EmbeddingConfigMismatchError } from './provider.js';
+
+export interface EmbeddingFile {
+  itemId: string;
+  provider: string;
+  model: string;
+  dimension: number;
+  sourceHash: string;
+  createdAt: string;
+  vectors: { chunkId: string; vector: number[] }[];
+}
+
+export class EmbeddingStore {
+  private readonly store: KnowledgeIndexStore;
+
+  constructor(store: KnowledgeIndexStore) {
+    this.store = store;
+  }
+
+  get dir(): string {
+    return this.store.resolve(path.join('processed', 'embeddings'));
+  }
+
+  pathFor(itemId: string): string {
+    return path.join(this.dir, `${itemId}.json`);
+  }
+
+  async readRaw(itemId: string): Promise<EmbeddingFile | null> {
+    try {
+      return JSON.parse(await fs.readFile(this.pathFor(itemId), 'utf-8')) as EmbeddingFile;
+    } catch (error: any) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * config.embedding と一致する埋め込みを返す。存在しなければ null、食い違えばエラー。
+   */
+  async read(item: KnowledgeItem, config: EmbeddingConfig): Promise<EmbeddingFile | null> {
+    const file = await this.readRaw(item.id);
+    if (!file) {
+      return null;
+    }
+
+    const mismatch = describeMismatch(file, config);
+    if (mismatch) {
+      throw new EmbeddingConfigMismatchError(`Embeddings for ${item.source} ${mismatch}`);
+    }
+    return file;
+  }
+
+  async write(file: EmbeddingFile): Promise<void> {
+    await fs.mkdir(this.dir, { recursive: true });
+    await fs.writeFile(this.pathFor(file.itemId), JSON.stringify(file) + '\n', 'utf-8');
+  }
+
+  async remove(itemId: string): Promise<void> {
+    await fs.rm(this.pathFor(itemId), { force: true });
+  }
+
+  /**
+   * index.json に存在しないアイテムの埋め込みファイルを削除する
+   */
+  async prune(validIds: Set<string>): Promise<number> {
+    let removed = 0;
+    const entries = await fs.readdir(this.dir).catch(() => [] as string[]);
+    for (const entry of entries) {
+      if (entry.endsWith('.json') && !validIds.has(path.basename(entry, '.json'))) {
+        await fs.rm(path.join(this.dir, entry), { force: true });
+        removed++;
+      }
+    }
+    return removed;
+  }
+}
+
+export function describeMismatch(file: EmbeddingFile, config: EmbeddingConfig): string | null {
+  if (file.provider !== config.provider || file.model !== config.model) {
+    return `were built with ${file.provider}/${file.model}, but config.embedding is ${config.provider}/${config.model}`;
+  }
+  if (file.dimension !== config.dimension) {
+    return `have dimension ${file.dimension}, but config.embedding.dimension is ${config.dimension}`;
+  }
+  return null;
+}
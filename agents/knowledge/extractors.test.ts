@@ -0,0 +1,47 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { detectFormat, isSupported, parseCsv } from './extractors.js';
+
+describe('parseCsv', () => {
+  it('parses plain rows', () => {
+    assert.deepEqual(parseCsv('a,b\n1,2\n'), [
+      ['a', 'b'],
+      ['1', '2'],
+    ]);
+  });
+
+  it('handles quoted commas, newlines and escaped quotes', () => {
+    assert.deepEqual(parseCsv('name,note\n"X, Inc.","1行目\n2行目 ""引用"""\n'), [
+      ['name', 'note'],
+      ['X, Inc.', '1行目\n2行目 "引用"'],
+    ]);
+  });
+
+  it('accepts CRLF line endings and a missing trailing newline', () => {
+    assert.deepEqual(parseCsv('a,b\r\n1,2'), [
+      ['a', 'b'],
+      ['1', '2'],
+    ]);
+  });
+
+  it('strips a UTF-8 BOM', () => {
+    assert.deepEqual(parseCsv('\uFEFFa,b\n'), [['a', 'b']]);
+  });
+
+  it('keeps empty fields', () => {
+    assert.deepEqual(parseCsv('a,,c\n'), [['a', '', 'c']]);
+  });
+});
+
+describe('detectFormat', () => {
+  it('detects formats by extension, case-insensitively', () => {
+    assert.equal(detectFormat('raw/pdf/report.PDF'), 'pdf');
+    assert.equal(detectFormat('raw/docs/note.md'), 'markdown');
+    assert.equal(detectFormat('raw/excel/data.csv'), 'csv');
+  });
+
+  it('rejects unsupported files', () => {
+    assert.equal(detectFormat('raw/docs/a.docx'), null);
+    assert.equal(isSupported('raw/docs/a.docx'), false);
+  });
+});
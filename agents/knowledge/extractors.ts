@@ -0,0 +1,157 @@
+/**
+ * ソースファイルからのテキスト抽出
+ *
+ * 対応形式: PDF, Excel (.xlsx/.xls), CSV, Markdown, テキスト
+ * PDF と Excel はそれぞれ pdf-parse / xlsx を必要時にのみ読み込む。
+ */
+
+import { promises as fs } from 'fs';
+import * as path from 'path';
+import type { SourceFormat } from './types.js';
+
+const FORMAT_BY_EXTENSION: Record<string, SourceFormat> = {
+  '.pdf': 'pdf',
+  '.xlsx': 'excel',
+  '.xls': 'excel',
+  '.csv': 'csv',
+  '.md': 'markdown',
+  '.markdown': 'markdown',
+  '.txt': 'text',
+};
+
+export interface ExtractedDocument {
+  format: SourceFormat;
+  title: string;
+  text: string;
+}
+
+export function detectFormat(filePath: string): SourceFormat | null {
+  return FORMAT_BY_EXTENSION[path.extname(filePath).toLowerCase()] ?? null;
+}
+
+export function isSupported(filePath: string): boolean {
+  return detectFormat(filePath) !== null;
+}
+
+export async function extractText(filePath: string): Promise<ExtractedDocument> {
+  const format = detectFormat(filePath);
+  if (!format) {
+    throw new Error(`Unsupported file format: ${filePath}`);
+  }
+
+  const fallbackTitle = path.basename(filePath, path.extname(filePath));
+
+  switch (format) {
+    case 'pdf':
+      return { format, title: fallbackTitle, text: await extractPdf(filePath) };
+    case 'excel':
+      return { format, title: fallbackTitle, text: await extractExcel(filePath) };
+    case 'csv': {
+      const raw = await fs.readFile(filePath, 'utf-8');
+      return { format, title: fallbackTitle, text: rowsToText(parseCsv(raw)) };
+    }
+    case 'markdown': {
+      const raw = await fs.readFile(filePath, 'utf-8');
+      const heading = raw.match(/^#\s+(.+)$/m);
+      return { format, title: heading ? heading[1].trim() : fallbackTitle, text: raw };
+    }
+    case 'text':
+      return { format, title: fallbackTitle, text: await fs.readFile(filePath, 'utf-8') };
+  }
+}
+
+async function extractPdf(filePath: string): Promise<string> {
+  const { default: pdfParse } = await import('pdf-parse');
+  const buffer = await fs.readFile(filePath);
+  const result = await pdfParse(buffer);
+  return result.text;
+}
+
+async function extractExcel(filePath: string): Promise<string> {
+  const XLSX = await import('xlsx');
+  const workbook = XLSX.read(await fs.readFile(filePath), { type: 'buffer' });
+
+  return workbook.SheetNames.map((sheetName) => {
+    const rows = XLSX.utils.sheet_to_json<unknown[]>(workbook.Sheets[sheetName], {
+      header: 1,
+      defval: '',
+      raw: false,
+    });
+    const cells = rows.map((row) => row.map((cell) => String(cell)));
+    return `## ${sheetName}\n\n${rowsToText(cells)}`;
+  }).join('\n\n');
+}
+
+/**
+ * RFC 4180 準拠の最小 CSV パーサ (クォート内の改行・カンマ・"" エスケープに対応)
+ */
+export function parseCsv(input: string): string[][] {
+  const text = input.replace(/^\uFEFF/, '');
+  const rows: string[][] = [];
+  let row: string[] = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter((r) => r.some((cell) => cell.trim() !== ''));
+}
+
+/**
+ * 表形式データを「見出し: 値」の行に変換し、チャンク境界で文脈が失われないようにする
+ */
+function rowsToText(rows: string[][]): string {
+  if (rows.length === 0) {
+    return '';
+  }
+
+  const [header, ...body] = rows;
+  if (body.length === 0) {
+    return header.join(' / ');
+  }
+
+  return body
+    .map((row) =>
+      row
+        .map((cell, i) => (cell.trim() ? `${header[i]?.trim() || `列${i + 1}`}: ${cell.trim()}` : ''))
+        .filter(Boolean)
+        .join(' / ')
+    )
+    .join('\n\n');
+}
@@ -0,0 +1,65 @@
+/**
+ * knowledge/index.json の読み書き
+ */
+
+import { promises as fs } from 'fs';
+import * as path from 'path';
+import type { ChunkFile, KnowledgeIndex, KnowledgeItem } from './types.js';
+
+export const DEFAULT_KNOWLEDGE_ROOT = 'knowledge';
+
+export class KnowledgeIndexStore {
+  readonly rootDir: string;
+  private index: KnowledgeIndex | null = null;
+
+  constructor(rootDir: string = DEFAULT_KNOWLEDGE_ROOT) {
+    this.rootDir = rootDir;
+  }
+
+  get indexPath(): string {
+    return path.join(this.rootDir, 'index.json');
+  }
+
+  async load(): Promise<KnowledgeIndex> {
+    const raw = await fs.readFile(this.indexPath, 'utf-8');
+    this.index = JSON.parse(raw) as KnowledgeIndex;
+    return this.index;
+  }
+
+  get data(): KnowledgeIndex {
+    if (!this.index) {
+      throw new Error('Knowledge index not loaded. Call load() first.');
+    }
+    return this.index;
+  }
+
+  findById(id: string): KnowledgeItem | undefined {
+    return this.data.items.find((item) => item.id === id);
+  }
+
+  upsertItem(item: KnowledgeItem): void {
+    const items = this.data.items;
+    const existing = items.findIndex((i) => i.id === item.id);
+    if (existing >= 0) {
+      items[existing] = item;
+    } else {
+      items.push(item);
+    }
+  }
+
+  async save(): Promise<void> {
+    const index = this.data;
+    index.totalItems = index.items.length;
+    index.lastUpdated = new Date().toISOString();
+    await fs.writeFile(this.indexPath, JSON.stringify(index, null, 2) + '\n', 'utf-8');
+  }
+
+  resolve(relativePath: string): string {
+    return path.join(this.rootDir, relativePath);
+  }
+
+  async readChunkFile(item: KnowledgeItem): Promise<ChunkFile> {
+    const raw = await fs.readFile(this.resolve(item.chunkFile), 'utf-8');
+    return JSON.parse(raw) as ChunkFile;
+  }
+}
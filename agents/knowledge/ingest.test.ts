@@ -0,0 +1,49 @@
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { after, before, describe, it } from 'node:test';
+import { KnowledgeIndexStore } from './index-store.js';
+import { KnowledgeIngestor } from './ingest.js';
+
+describe('KnowledgeIngestor', () => {
+  let root: string;
+  let ingestor: KnowledgeIngestor;
+
+  before(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'knowledge-'));
+    await fs.copyFile(path.join('knowledge', 'index.json'), path.join(root, 'index.json'));
+    await fs.mkdir(path.join(root, 'processed', 'chunks'), { recursive: true });
+    ingestor = new KnowledgeIngestor(new KnowledgeIndexStore(root));
+  });
+
+  after(async () => {
+    await fs.rm(root, { recursive: true, force: true });
+  });
+
+  it('skips unsupported files found while walking a directory', async () => {
+    const dir = path.join(root, 'raw', 'only-docx');
+    await fs.mkdir(dir, { recursive: true });
+    await fs.writeFile(path.join(dir, 'a.docx'), 'binary');
+    assert.deepEqual(await ingestor.ingest([dir]), []);
+  });
+
+  it('rejects an unsupported file passed explicitly', async () => {
+    const file = path.join(root, 'raw', 'only-docx', 'a.docx');
+    await assert.rejects(ingestor.ingest([file]), /Unsupported file format/);
+  });
+
+  it('ingests supported files and skips them when unchanged', async () => {
+    const dir = path.join(root, 'raw', 'docs', 'marketing');
+    await fs.mkdir(dir, { recursive: true });
+    await fs.writeFile(path.join(dir, 'note.md'), '# メモ\n\nフォロワーを増やすコツ。');
+    await fs.writeFile(path.join(dir, 'ignored.docx'), 'binary');
+
+    const [first] = await ingestor.ingest([dir]);
+    assert.equal(first.status, 'added');
+    assert.equal(first.item?.category, 'marketing');
+
+    const [second] = await ingestor.ingest([dir]);
+    assert.equal(second.status, 'skipped');
+  });
+});
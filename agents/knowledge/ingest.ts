@@ -0,0 +1,167 @@
+/**
+ * Knowledge Ingestor - /x-knowledge-add の本体
+ *
+ * 1. 対象ファイルを収集 (ディレクトリは再帰)
+ * 2. SHA-256 が前回と同じファイルはスキップ
+ * 3. テキスト抽出 → config.chunking に従ってチャンク化
+ * 4. processed/chunks/<id>.json を書き出し、index.json の items[] を更新
+ */
+
+import { createHash } from 'crypto';
+import { promises as fs } from 'fs';
+import * as path from 'path';
+import { RecursiveChunker } from './chunker.js';
+import { extractText, isSupported } from './extractors.js';
+import { KnowledgeIndexStore } from './index-store.js';
+import type { ChunkFile, KnowledgeCategory, KnowledgeItem } from './types.js';
+
+export interface IngestOptions {
+  /** 明示的なカテゴリ。未指定時はパスから推定し、該当なしなら 'other' */
+  category?: KnowledgeCategory;
+  /** ハッシュが一致しても再処理する */
+  force?: boolean;
+}
+
+export type IngestStatus = 'added' | 'updated' | 'skipped' | 'failed';
+
+export interface IngestResult {
+  source: string;
+  status: IngestStatus;
+  item?: KnowledgeItem;
+  error?: string;
+}
+
+export class KnowledgeIngestor {
+  private readonly store: KnowledgeIndexStore;
+
+  constructor(store: KnowledgeIndexStore = new KnowledgeIndexStore()) {
+    this.store = store;
+  }
+
+  async ingest(inputPaths: string[], options: IngestOptions = {}): Promise<IngestResult[]> {
+    const index = await this.store.load();
+
+    if (options.category && !index.categories.includes(options.category)) {
+      throw new Error(
+        `Unknown category: ${options.category} (expected one of ${index.categories.join(', ')})`
+      );
+    }
+
+    const chunker = new RecursiveChunker(index.config.chunking);
+    const files = await collectFiles(inputPaths);
+    const results: IngestResult[] = [];
+
+    for (const file of files) {
+      try {
+        results.push(await this.ingestFile(file, chunker, options));
+      } catch (error: any) {
+        results.push({ source: toRepoPath(file), status: 'failed', error: error.message });
+      }
+    }
+
+    if (results.some((r) => r.status === 'added' || r.status === 'updated')) {
+      await this.store.save();
+    }
+
+    return results;
+  }
+
+  private async ingestFile(
+    filePath: string,
+    chunker: RecursiveChunker,
+    options: IngestOptions
+  ): Promise<IngestResult> {
+    const source = toRepoPath(filePath);
+    const id = itemIdFor(source);
+    const sourceHash = await hashFile(filePath);
+    const existing = this.store.findById(id);
+
+    if (existing && existing.sourceHash === sourceHash && !options.force) {
+      return { source, status: 'skipped', item: existing };
+    }
+
+    const document = await extractText(filePath);
+    const category =
+      options.category ?? inferCategory(source, this.store.data.categories) ?? existing?.category ?? 'other';
+
+    const chunkFile: ChunkFile = {
+      itemId: id,
+      source,
+      category,
+      sourceHash,
+      chunks: chunker.split(document.text).map((chunk, i) => ({
+        id: `${id}#${i}`,
+        itemId: id,
+        index: i,
+        text: chunk.text,
+        start: chunk.start,
+      })),
+    };
+
+    const chunkPath = path.posix.join('processed', 'chunks', `${id}.json`);
+    await fs.mkdir(path.dirname(this.store.resolve(chunkPath)), { recursive: true });
+    await fs.writeFile(this.store.resolve(chunkPath), JSON.stringify(chunkFile, null, 2) + '\n', 'utf-8');
+
+    const now = new Date().toISOString();
+    const item: KnowledgeItem = {
+      id,
+      title: document.title,
+      source,
+      format: document.format,
+      category,
+      sourceHash,
+      chunkCount: chunkFile.chunks.length,
+      chunkFile: chunkPath,
+      createdAt: existing?.createdAt ?? now,
+      lastUpdated: now,
+    };
+    this.store.upsertItem(item);
+
+    return { source, status: existing ? 'updated' : 'added', item };
+  }
+}
+
+/**
+ * 入力パスを対象ファイルに展開する。
+ * 明示的に指定されたファイルが未対応形式ならエラー、ディレクトリ内の未対応ファイルは読み飛ばす
+ */
+async function collectFiles(inputPaths: string[], explicit = true): Promise<string[]> {
+  const files: string[] = [];
+
+  for (const inputPath of inputPaths) {
+    const stat = await fs.stat(inputPath);
+    if (stat.isDirectory()) {
+      const entries = await fs.readdir(inputPath, { withFileTypes: true });
+      const children = entries
+        .filter((entry) => !entry.name.startsWith('.'))
+        .map((entry) => path.join(inputPath, entry.name));
+      files.push(...(await collectFiles(children, false)));
+    } else if (isSupported(inputPath)) {
+      files.push(inputPath);
+    } else if (explicit) {
+      throw new Error(`Unsupported file format: ${inputPath}`);
+    }
+  }
+
+  return files.sort();
+}
+
+/**
+ * パス中に含まれるカテゴリ名 (例: raw/docs/marketing/foo.md) からカテゴリを推定する
+ */
+function inferCategory(source: string, categories: KnowledgeCategory[]): KnowledgeCategory | undefined {
+  const segments = source.split('/').slice(0, -1);
+  return categories.find((category) => segments.includes(category));
+}
+
+function toRepoPath(filePath: string): string {
+  return path.relative(process.cwd(), path.resolve(filePath)).split(path.sep).join('/');
+}
+
+function itemIdFor(source: string): string {
+  return createHash('sha1').update(source).digest('hex').slice(0, 12);
+}
+
+async function hashFile(filePath: string): Promise<string> {
+  return createHash('sha256').update(await fs.readFile(filePath)).digest('hex');
+}
@@ -0,0 +1,100 @@
+/**
+ * BM25 キーワードインデックス (Okapi BM25, k1=1.2, b=0.75)
+ */
+
+import { tokenize } from './tokenizer.js';
+
+export interface BM25Options {
+  k1?: number;
+  b?: number;
+}
+
+export interface BM25Match {
+  score: number;
+  /** 一致したクエリ語の IDF 合計 / クエリ語全体の IDF 合計 (0〜1) */
+  coverage: number;
+}
+
+export class BM25Index {
+  private readonly k1: number;
+  private readonly b: number;
+  private readonly termFrequencies = new Map<string, Map<string, number>>();
+  private readonly documentFrequencies = new Map<string, number>();
+  private readonly lengths = new Map<string, number>();
+  private totalLength = 0;
+
+  constructor(options: BM25Options = {}) {
+    this.k1 = options.k1 ?? 1.2;
+    this.b = options.b ?? 0.75;
+  }
+
+  get size(): number {
+    return this.lengths.size;
+  }
+
+  add(docId: string, text: string): void {
+    const tokens = tokenize(text);
+    const frequencies = new Map<string, number>();
+    for (const token of tokens) {
+      frequencies.set(token, (frequencies.get(token) ?? 0) + 1);
+    }
+    for (const term of frequencies.keys()) {
+      this.documentFrequencies.set(term, (this.documentFrequencies.get(term) ?? 0) + 1);
+    }
+
+    this.termFrequencies.set(docId, frequencies);
+    this.lengths.set(docId, tokens.length);
+    this.totalLength += tokens.length;
+  }
+
+  /**
+   * クエリに対する各文書のスコアを返す (スコア 0 の文書は含まない)
+   */
+  score(query: string): Map<string, number> {
+    return new Map([...this.match(query)].map(([docId, match]) => [docId, match.score]));
+  }
+
+  /**
+   * スコアに加えて、クエリ語のうち文書に含まれる割合 (IDF 加重) を返す。
+   * 「です」のようなありふれた語だけの一致は coverage が小さくなる
+   */
+  match(query: string): Map<string, BM25Match> {
+    const matches = new Map<string, BM25Match>();
+    const terms = [...new Set(tokenize(query))];
+    if (terms.length === 0 || this.size === 0) {
+      return matches;
+    }
+
+    const averageLength = this.totalLength / this.size;
+    // コーパスにない語も分母に含める (df = 0 として最大の IDF)
+    const totalIdf = terms.reduce((sum, term) => sum + this.idf(term), 0);
+
+    for (const term of terms) {
+      const df = this.documentFrequencies.get(term);
+      if (!df) {
+        continue;
+      }
+      const idf = this.idf(term);
+
+      for (const [docId, frequencies] of this.termFrequencies) {
+        const tf = frequencies.get(term);
+        if (!tf) {
+          continue;
+        }
+        const length = this.lengths.get(docId)!;
+        const weight = (tf * (this.k1 + 1)) / (tf + this.k1 * (1 - this.b + (this.b * length) / averageLength));
+        const match = matches.get(docId) ?? { score: 0, coverage: 0 };
+        match.score += idf * weight;
+        match.coverage += idf / totalIdf;
+        matches.set(docId, match);
+      }
+    }
+
+    return matches;
+  }
+
+  private idf(term: string): number {
+    const df = this.documentFrequencies.get(term) ?? 0;
+    return Math.log(1 + (this.size - df + 0.5) / (df + 0.5));
+  }
+}
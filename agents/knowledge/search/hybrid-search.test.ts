@@ -0,0 +1,104 @@
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { after, before, describe, it } from 'node:test';
+import { KnowledgeEmbedder } from '../embeddings/embedder.js';
+import { LocalHashEmbeddingProvider } from '../embeddings/local.js';
+import type { EmbeddingProvider } from '../embeddings/provider.js';
+import { KnowledgeIndexStore } from '../index-store.js';
+import { KnowledgeIngestor } from '../ingest.js';
+import { BM25Index } from './bm25.js';
+import { KnowledgeSearcher } from './hybrid-search.js';
+
+const unavailable: EmbeddingProvider = {
+  name: 'local',
+  model: 'hashed-ngram-v1',
+  dimension: 512,
+  async embed() {
+    throw new Error('OPENAI_API_KEY is not set');
+  },
+};
+
+describe('BM25Index.match', () => {
+  it('gives full coverage when every query term matches', () => {
+    const bm25 = new BM25Index();
+    bm25.add('a', 'エンゲージメント率を上げる');
+    bm25.add('b', '投稿時間の決め方');
+    const match = bm25.match('エンゲージメント率').get('a');
+    assert.ok(match);
+    assert.ok(Math.abs(match.coverage - 1) < 1e-9);
+    assert.equal(bm25.match('エンゲージメント率').has('b'), false);
+  });
+
+  it('gives low coverage to a single common bigram', () => {
+    const bm25 = new BM25Index();
+    bm25.add('a', 'フォロワーが増えるのは投稿が役立つからです。');
+    bm25.add('b', '分析ツールを使うのが近道です。');
+    const match = bm25.match('料理のレシピが多いです').get('a');
+    assert.ok(match && match.coverage < 0.5, `coverage ${match?.coverage}`);
+  });
+});
+
+describe('KnowledgeSearcher', () => {
+  let root: string;
+  let store: KnowledgeIndexStore;
+
+  before(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'knowledge-'));
+    const index = JSON.parse(await fs.readFile(path.join('knowledge', 'index.json'), 'utf-8'));
+    index.config.embedding = { provider: 'local', model: 'hashed-ngram-v1', dimension: 512 };
+    await fs.writeFile(path.join(root, 'index.json'), JSON.stringify(index));
+    await fs.mkdir(path.join(root, 'raw', 'analytics'), { recursive: true });
+    await fs.writeFile(
+      path.join(root, 'raw', 'analytics', 'kpi.md'),
+      '# KPI\n\nエンゲージメント率はいいね・リポスト・返信の合計をインプレッションで割った値です。'
+    );
+    await fs.writeFile(path.join(root, 'raw', 'time.md'), '# 時間帯\n\n平日は昼休みと夜に投稿すると反応が良いです。');
+
+    store = new KnowledgeIndexStore(root);
+    await new KnowledgeIngestor(store).ingest([path.join(root, 'raw')]);
+    await new KnowledgeEmbedder(store, new LocalHashEmbeddingProvider()).embed();
+  });
+
+  after(async () => {
+    await fs.rm(root, { recursive: true, force: true });
+  });
+
+  it('keeps exact keyword matches below minSimilarity', async () => {
+    const results = await new KnowledgeSearcher(store).search('エンゲージメント率', { minSimilarity: 0.99 });
+    assert.deepEqual(
+      results.map((r) => r.title),
+      ['KPI']
+    );
+    assert.ok(Math.abs(results[0].keywordScore - 1) < 1e-9);
+  });
+
+  it('does not let a single shared bigram bypass minSimilarity', async () => {
+    const results = await new KnowledgeSearcher(store).search('料理のレシピが多いです', { minSimilarity: 0.7 });
+    assert.deepEqual(results, []);
+  });
+
+  it('filters by category', async () => {
+    const results = await new KnowledgeSearcher(store).search('投稿', {
+      minSimilarity: 0,
+      categories: ['analytics'],
+    });
+    assert.ok(results.length > 0);
+    assert.ok(results.every((r) => r.category === 'analytics'));
+  });
+
+  it('falls back to keyword search when the query cannot be embedded', async () => {
+    const { mode, results } = await new KnowledgeSearcher(store, unavailable).searchWithMode('エンゲージメント率');
+    assert.equal(mode, 'keyword');
+    assert.equal(results[0]?.title, 'KPI');
+    assert.equal(results[0].vectorScore, 0);
+  });
+
+  it('fails in vector mode when the query cannot be embedded', async () => {
+    await assert.rejects(
+      new KnowledgeSearcher(store, unavailable).search('エンゲージメント率', { mode: 'vector' }),
+      /OPENAI_API_KEY/
+    );
+  });
+});
@@ -0,0 +1,193 @@
+/**
+ * Knowledge Searcher - /x-knowledge-search の本体
+ *
+ * ベクトル類似度 (コサイン) と BM25 キーワードスコアを線形結合したハイブリッド検索。
+ *   score = alpha * cosine + (1 - alpha) * (bm25 / max(bm25)) * coverage
+ * cosine が config.search.minSimilarity 未満でも、クエリ語の大半 (IDF 加重で半分以上) を
+ * 含むチャンクは残す。これにより「エンゲージメント率」のような完全一致語を取りこぼさない。
+ */
+
+import { createEmbeddingProvider, type EmbeddingProvider } from '../embeddings/provider.js';
+import { EmbeddingStore } from '../embeddings/store.js';
+import { KnowledgeIndexStore } from '../index-store.js';
+import type { KnowledgeCategory, KnowledgeChunk, KnowledgeItem } from '../types.js';
+import { BM25Index } from './bm25.js';
+import { highlightSnippet } from './snippet.js';
+
+export type SearchMode = 'hybrid' | 'vector' | 'keyword';
+
+export interface SearchOptions {
+  /** 返す件数 (既定: config.search.defaultLimit) */
+  limit?: number;
+  /** コサイン類似度の下限 (既定: config.search.minSimilarity) */
+  minSimilarity?: number;
+  /** 絞り込むカテゴリ (未指定時は全カテゴリ) */
+  categories?: KnowledgeCategory[];
+  mode?: SearchMode;
+  /** ベクトルスコアの重み (0〜1, 既定 0.5) */
+  alpha?: number;
+}
+
+export interface SearchResult {
+  chunkId: string;
+  itemId: string;
+  source: string;
+  title: string;
+  category: KnowledgeCategory;
+  score: number;
+  vectorScore: number;
+  keywordScore: number;
+  snippet: string;
+  text: string;
+}
+
+interface IndexedChunk {
+  chunk: KnowledgeChunk;
+  item: KnowledgeItem;
+}
+
+/**
+ * cosine が minSimilarity 未満のチャンクを残すのに必要なクエリ語の網羅率 (IDF 加重)
+ */
+const MIN_KEYWORD_COVERAGE = 0.5;
+
+export interface SearchResponse {
+  /** 実際に使われた検索モード (埋め込みが使えない場合 hybrid → keyword) */
+  mode: SearchMode;
+  results: SearchResult[];
+}
+
+export class KnowledgeSearcher {
+  private readonly store: KnowledgeIndexStore;
+  private readonly embeddings: EmbeddingStore;
+  private readonly providerOverride: EmbeddingProvider | undefined;
+
+  constructor(store: KnowledgeIndexStore = new KnowledgeIndexStore(), provider?: EmbeddingProvider) {
+    this.store = store;
+    this.embeddings = new EmbeddingStore(store);
+    this.providerOverride = provider;
+  }
+
+  async search(query: string, options: SearchOptions = {}): Promise<SearchResult[]> {
+    return (await this.searchWithMode(query, options)).results;
+  }
+
+  /**
+   * hybrid モードで埋め込みが使えない (API キーなし・設定不一致など) 場合は
+   * 警告を出してキーワード検索にフォールバックする。vector モードではエラーにする
+   */
+  async searchWithMode(query: string, options: SearchOptions = {}): Promise<SearchResponse> {
+    const index = await this.store.load();
+    const config = index.config;
+    const limit = options.limit ?? config.search.defaultLimit;
+    const minSimilarity = options.minSimilarity ?? config.search.minSimilarity;
+    let mode = options.mode ?? 'hybrid';
+
+    for (const category of options.categories ?? []) {
+      if (!index.categories.includes(category)) {
+        throw new Error(`Unknown category: ${category} (expected one of ${index.categories.join(', ')})`);
+      }
+    }
+
+    const items = index.items.filter(
+      (item) => !options.categories?.length || options.categories.includes(item.category)
+    );
+    const chunks = await this.loadChunks(items);
+
+    let queryVector: number[] | undefined;
+    let vectors = new Map<string, number[]>();
+    if (mode !== 'keyword') {
+      try {
+        vectors = await this.loadVectors(items);
+        const provider = this.providerOverride ?? createEmbeddingProvider(config.embedding);
+        [queryVector] = await provider.embed([query]);
+      } catch (error: any) {
+        if (mode === 'vector') {
+          throw error;
+        }
+        console.warn(`⚠️ Vector search unavailable (${error.message}); falling back to keyword search`);
+        mode = 'keyword';
+        queryVector = undefined;
+      }
+    }
+
+    const keywordMatches = new Map<string, { score: number; coverage: number }>();
+    if (mode !== 'vector') {
+      const bm25 = new BM25Index();
+      for (const { chunk } of chunks) {
+        bm25.add(chunk.id, chunk.text);
+      }
+      const matches = bm25.match(query);
+      const max = Math.max(0, ...[...matches.values()].map((m) => m.score));
+      for (const [id, match] of matches) {
+        // 正規化した BM25 をクエリ語の網羅率で割り引き、弱い一致が 1.0 にならないようにする
+        keywordMatches.set(id, { score: max > 0 ? (match.score / max) * match.coverage : 0, coverage: match.coverage });
+      }
+    }
+
+    const alpha = mode === 'vector' ? 1 : mode === 'keyword' ? 0 : options.alpha ?? 0.5;
+    const results: SearchResult[] = [];
+    for (const { chunk, item } of chunks) {
+      const vector = vectors.get(chunk.id);
+      const vectorScore = queryVector && vector ? cosine(queryVector, vector) : 0;
+      const keyword = keywordMatches.get(chunk.id);
+      const keywordScore = keyword?.score ?? 0;
+
+      if (vectorScore < minSimilarity && (keyword?.coverage ?? 0) < MIN_KEYWORD_COVERAGE) {
+        continue;
+      }
+
+      results.push({
+        chunkId: chunk.id,
+        itemId: item.id,
+        source: item.source,
+        title: item.title,
+        category: item.category,
+        score: alpha * vectorScore + (1 - alpha) * keywordScore,
+        vectorScore,
+        keywordScore,
+        snippet: highlightSnippet(chunk.text, query),
+        text: chunk.text,
+      });
+    }
+
+    return { mode, results: results.sort((a, b) => b.score - a.score).slice(0, limit) };
+  }
+
+  private async loadChunks(items: KnowledgeItem[]): Promise<IndexedChunk[]> {
+    const loaded: IndexedChunk[] = [];
+    for (const item of items) {
+      const { chunks } = await this.store.readChunkFile(item);
+      loaded.push(...chunks.map((chunk) => ({ chunk, item })));
+    }
+    return loaded;
+  }
+
+  private async loadVectors(items: KnowledgeItem[]): Promise<Map<string, number[]>> {
+    const config = this.store.data.config.embedding;
+    const vectors = new Map<string, number[]>();
+
+    for (const item of items) {
+      const embedding = await this.embeddings.read(item, config);
+      if (embedding && embedding.sourceHash === item.sourceHash) {
+        for (const { chunkId, vector } of embedding.vectors) {
+          vectors.set(chunkId, vector);
+        }
+      }
+    }
+
+    return vectors;
+  }
+}
+
+export function cosine(a: number[], b: number[]): number {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA > 0 && normB > 0 ? dot / Math.sqrt(normA * normB) : 0;
+}
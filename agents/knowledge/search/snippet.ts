@@ -0,0 +1,93 @@
+/**
+ * 検索結果のスニペット生成とハイライト
+ */
+
+import { bigrams, normalize } from './tokenizer.js';
+
+const DEFAULT_WINDOW = 120;
+
+/**
+ * クエリ語の出現箇所を **語** で囲んだ抜粋を返す。
+ * 語全体が見つからない場合は CJK bigram 単位で一致箇所を探す。
+ */
+export function highlightSnippet(text: string, query: string, window: number = DEFAULT_WINDOW): string {
+  const haystack = normalize(text);
+  const ranges = mergeRanges(findRanges(haystack, query));
+  // NFKC で長さが変わる文字を含む場合は位置がずれるため、ハイライトせずに先頭を返す
+  if (haystack.length !== text.length || ranges.length === 0) {
+    return truncate(text, 0, window);
+  }
+
+  const first = ranges[0][0];
+  const start = Math.max(0, Math.min(first - Math.floor(window / 4), text.length - window));
+  const end = Math.min(text.length, start + window);
+
+  let snippet = '';
+  let cursor = start;
+  for (const [from, to] of ranges) {
+    if (to <= start || from >= end) {
+      continue;
+    }
+    const s = Math.max(from, start);
+    const e = Math.min(to, end);
+    snippet += text.slice(cursor, s) + '**' + text.slice(s, e) + '**';
+    cursor = e;
+  }
+  snippet += text.slice(cursor, end);
+
+  return (start > 0 ? '…' : '') + collapse(snippet) + (end < text.length ? '…' : '');
+}
+
+function findRanges(haystack: string, query: string): [number, number][] {
+  const ranges: [number, number][] = [];
+  const terms = normalize(query).split(/\s+/).filter(Boolean);
+
+  for (const term of terms) {
+    const exact = occurrences(haystack, term);
+    if (exact.length > 0) {
+      ranges.push(...exact);
+      continue;
+    }
+    for (const gram of bigrams(term)) {
+      ranges.push(...occurrences(haystack, gram));
+    }
+  }
+
+  return ranges;
+}
+
+function occurrences(haystack: string, needle: string): [number, number][] {
+  const found: [number, number][] = [];
+  if (!needle) {
+    return found;
+  }
+  let i = haystack.indexOf(needle);
+  while (i >= 0) {
+    found.push([i, i + needle.length]);
+    i = haystack.indexOf(needle, i + needle.length);
+  }
+  return found;
+}
+
+function mergeRanges(ranges: [number, number][]): [number, number][] {
+  const sorted = [...ranges].sort((a, b) => a[0] - b[0]);
+  const merged: [number, number][] = [];
+  for (const range of sorted) {
+    const last = merged[merged.length - 1];
+    if (last && range[0] <= last[1]) {
+      last[1] = Math.max(last[1], range[1]);
+    } else {
+      merged.push([...range]);
+    }
+  }
+  return merged;
+}
+
+function truncate(text: string, start: number, window: number): string {
+  const end = Math.min(text.length, start + window);
+  return collapse(text.slice(start, end)) + (end < text.length ? '…' : '');
+}
+
+function collapse(text: string): string {
+  return text.replace(/\s*\n\s*/g, ' ');
+}
@@ -0,0 +1,42 @@
+/**
+ * 日本語対応トークナイザ
+ *
+ * 形態素解析器に依存せず、以下のルールでトークン化する。
+ * - 英数字: 単語単位
+ * - CJK (漢字・ひらがな・カタカナ): 文字 bigram (1文字のみの連続は unigram)
+ * NFKC 正規化により全角英数・半角カナの揺れを吸収する。
+ */
+
+const WORD = /[a-z0-9]+(?:[._-][a-z0-9]+)*/g;
+const CJK_RUN = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}ー々〆]+/gu;
+
+export function normalize(text: string): string {
+  return text.normalize('NFKC').toLowerCase();
+}
+
+export function tokenize(text: string): string[] {
+  const normalized = normalize(text);
+  const tokens: string[] = [];
+
+  for (const word of normalized.match(WORD) ?? []) {
+    tokens.push(word);
+  }
+
+  for (const run of normalized.match(CJK_RUN) ?? []) {
+    tokens.push(...bigrams(run));
+  }
+
+  return tokens;
+}
+
+export function bigrams(run: string): string[] {
+  const chars = Array.from(run);
+  if (chars.length === 1) {
+    return chars;
+  }
+  const grams: string[] = [];
+  for (let i = 0; i < chars.length - 1; i++) {
+    grams.push(chars[i] + chars[i + 1]);
+  }
+  return grams;
+}
@@ -0,0 +1,85 @@
+/**
+ * Knowledge Base 共通型定義
+ *
+ * knowledge/index.json のスキーマと、処理済みチャンクファイルの形式を表す。
+ */
+
+export type KnowledgeCategory =
+  | 'marketing'
+  | 'engagement'
+  | 'content-strategy'
+  | 'analytics'
+  | 'case-studies'
+  | 'trends'
+  | 'best-practices'
+  | 'tools'
+  | 'other';
+
+export type SourceFormat = 'pdf' | 'excel' | 'csv' | 'markdown' | 'text';
+
+export interface EmbeddingConfig {
+  provider: string;
+  model: string;
+  dimension: number;
+}
+
+export interface ChunkingConfig {
+  strategy: 'recursive';
+  maxChunkSize: number;
+  overlap: number;
+}
+
+export interface SearchConfig {
+  defaultLimit: number;
+  minSimilarity: number;
+}
+
+export interface KnowledgeConfig {
+  embedding: EmbeddingConfig;
+  chunking: ChunkingConfig;
+  search: SearchConfig;
+}
+
+export interface KnowledgeItem {
+  /** ソースパスから導出される安定ID */
+  id: string;
+  title: string;
+  /** リポジトリルートからの相対パス */
+  source: string;
+  format: SourceFormat;
+  category: KnowledgeCategory;
+  /** ソースファイルの SHA-256 (変更検知用) */
+  sourceHash: string;
+  chunkCount: number;
+  /** knowledge/ からの相対パス */
+  chunkFile: string;
+  createdAt: string;
+  lastUpdated: string;
+}
+
+export interface KnowledgeIndex {
+  version: string;
+  lastUpdated: string;
+  totalItems: number;
+  items: KnowledgeItem[];
+  config: KnowledgeConfig;
+  categories: KnowledgeCategory[];
+}
+
+export interface KnowledgeChunk {
+  /** `${itemId}#${index}` 形式 */
+  id: string;
+  itemId: string;
+  index: number;
+  text: string;
+  /** ソーステキスト内の開始オフセット */
+  start: number;
+}
+
+export interface ChunkFile {
+  itemId: string;
+  source: string;
+  category: KnowledgeCategory;
+  sourceHash: string;
+  chunks: KnowledgeChunk[];
+}
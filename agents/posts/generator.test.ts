@@ -0,0 +1,96 @@
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { after, before, describe, it } from 'node:test';
+import { KnowledgeEmbedder } from '../knowledge/embeddings/embedder.js';
+import { LocalHashEmbeddingProvider } from '../knowledge/embeddings/local.js';
+import { KnowledgeIndexStore } from '../knowledge/index-store.js';
+import { KnowledgeIngestor } from '../knowledge/ingest.js';
+import { KnowledgeSearcher } from '../knowledge/search/hybrid-search.js';
+import { PostGenerator } from './generator.js';
+import { MockLLMProvider } from './llm/mock.js';
+
+describe('PostGenerator', () => {
+  let root: string;
+  let searcher: KnowledgeSearcher;
+
+  before(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'generator-'));
+    const index = JSON.parse(await fs.readFile(path.join('knowledge', 'index.json'), 'utf-8'));
+    index.config.embedding = { provider: 'local', model: 'hashed-ngram-v1', dimension: 512 };
+    await fs.writeFile(path.join(root, 'index.json'), JSON.stringify(index));
+    await fs.mkdir(path.join(root, 'raw', 'analytics'), { recursive: true });
+    await fs.writeFile(
+      path.join(root, 'raw', 'analytics', 'kpi.md'),
+      '# KPI\n\nエンゲージメント率はいいね・リポスト・返信の合計をインプレッションで割った値です。目安は2%以上です。'
+    );
+    await fs.writeFile(
+      path.join(root, 'raw', 'analytics', 'rate.md'),
+      '# 率の改善\n\nエンゲージメント率を上げるには、冒頭の一文で問いかけるのが効果的です。'
+    );
+
+    const store = new KnowledgeIndexStore(root);
+    await new KnowledgeIngestor(store).ingest([path.join(root, 'raw')]);
+    await new KnowledgeEmbedder(store, new LocalHashEmbeddingProvider()).embed();
+    searcher = new KnowledgeSearcher(store);
+  });
+
+  after(async () => {
+    await fs.rm(root, { recursive: true, force: true });
+  });
+
+  it('uses the requested pattern and passes it to the prompt', async () => {
+    const provider = new MockLLMProvider();
+    const post = await new PostGenerator({ searcher, provider }).generate({ topic: 'エンゲージメント率', pattern: 'Tips型' });
+    assert.equal(post.pattern, 'Tips型');
+    assert.equal(post.format, 'single');
+    assert.equal(post.style, 'professional');
+    assert.match(provider.requests[0].prompt, /^パターン: Tips型$/m);
+    assert.match(provider.requests[0].prompt, /【〇〇のコツ】/);
+  });
+
+  it('rejects an unknown pattern with the available ones', async () => {
+    await assert.rejects(
+      new PostGenerator({ searcher, provider: new MockLLMProvider() }).generate({ topic: 'KPI', pattern: '比較型' }),
+      /Unknown pattern for single: 比較型 \(available: 問題提起型, Tips型, 気づき共有型\)/
+    );
+  });
+
+  it('picks the same pattern for the same topic', async () => {
+    const generator = new PostGenerator({ searcher, provider: new MockLLMProvider() });
+    const first = await generator.generate({ topic: '投稿時間の決め方' });
+    const second = await generator.generate({ topic: '投稿時間の決め方' });
+    assert.ok(['問題提起型', 'Tips型', '気づき共有型'].includes(first.pattern!));
+    assert.equal(second.pattern, first.pattern);
+  });
+
+  it('splits thread output on separator lines only', async () => {
+    const provider = new MockLLMProvider(() => '🧵 1/3\n導入\n---\n2/3\n本論 --- 補足\n\n  ---  \n3/3 【まとめ】\n');
+    const post = await new PostGenerator({ searcher, provider }).generate({ topic: 'エンゲージメント率', format: 'thread' });
+    assert.deepEqual(post.content.tweets, ['🧵 1/3\n導入', '2/3\n本論 --- 補足', '3/3 【まとめ】']);
+    assert.equal(post.content.text, post.content.tweets!.join('\n\n'));
+    assert.equal(post.pattern, undefined);
+  });
+
+  it('cites the retrieved chunks and takes the category from them', async () => {
+    const post = await new PostGenerator({ searcher, provider: new MockLLMProvider() }).generate({
+      topic: 'エンゲージメント率',
+    });
+    assert.equal(post.retrieval, 'hybrid');
+    assert.equal(post.category, 'analytics');
+    assert.ok(post.sources.length > 0);
+    assert.ok(post.sources.every((s) => s.category === 'analytics' && s.chunkId && s.source.includes('analytics')));
+    assert.equal(post.content.tweets, undefined);
+    assert.ok(post.usage.inputTokens > 0);
+  });
+
+  it('prefers the requested category over the sources', async () => {
+    const post = await new PostGenerator({ searcher, provider: new MockLLMProvider() }).generate({
+      topic: 'エンゲージメント率',
+      categories: ['marketing'],
+    });
+    assert.equal(post.category, 'marketing');
+    assert.deepEqual(post.sources, []);
+  });
+});
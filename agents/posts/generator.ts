@@ -0,0 +1,151 @@
+/**
+ * Post Generator - /x-generate-post の本体
+ *
+ * 1. フォーマット/スタイルテンプレートを読み込み、パターンを決定
+ * 2. トピックでナレッジを検索し、参考チャンクを取得
+ * 3. プロンプトを組み立てて LLM に投稿文を生成させる
+ * 4. 出典付きの GeneratedPost を返す (保存は HistoryStore が担う)
+ */
+
+import { createHash } from 'crypto';
+import { KnowledgeSearcher, type SearchMode, type SearchResult } from '../knowledge/search/hybrid-search.js';
+import type { KnowledgeCategory } from '../knowledge/types.js';
+import { createLLMProvider, type LLMProvider, type LLMUsage } from './llm/provider.js';
+import { buildPostPrompt, TWEET_SEPARATOR } from './prompt.js';
+import { TemplateLibrary, type FormatSpec, type PostPattern } from './templates.js';
+
+export interface GenerateRequest {
+  topic: string;
+  /** フォーマットテンプレートID (既定: single) */
+  format?: string;
+  /** スタイルテンプレートID (既定: professional) */
+  style?: string;
+  /** 構成パターン名 (例: 問題提起型)。未指定時はトピックから決定的に選ぶ */
+  pattern?: string;
+  categories?: KnowledgeCategory[];
+  /** 参考にするチャンク数 (既定: config.search.defaultLimit) */
+  sourceLimit?: number;
+}
+
+export interface SourceCitation {
+  chunkId: string;
+  itemId: string;
+  source: string;
+  title: string;
+  category: KnowledgeCategory;
+  score: number;
+}
+
+export interface GeneratedPost {
+  id: string;
+  createdAt: string;
+  topic: string;
+  /** 指定カテゴリ、なければ出典で最も多いカテゴリ */
+  category: KnowledgeCategory;
+  format: string;
+  pattern?: string;
+  style: string;
+  provider: { name: string; model: string };
+  retrieval: SearchMode;
+  content: {
+    text: string;
+    tweets?: string[];
+  };
+  sources: SourceCitation[];
+  usage: LLMUsage;
+}
+
+export interface PostGeneratorOptions {
+  templates?: TemplateLibrary;
+  searcher?: KnowledgeSearcher;
+  provider?: LLMProvider;
+}
+
+export class PostGenerator {
+  private readonly templates: TemplateLibrary;
+  private readonly searcher: KnowledgeSearcher;
+  private readonly provider: LLMProvider;
+
+  constructor(options: PostGeneratorOptions = {}) {
+    this.templates = options.templates ?? new TemplateLibrary();
+    this.searcher = options.searcher ?? new KnowledgeSearcher();
+    this.provider = options.provider ?? createLLMProvider();
+  }
+
+  async generate(request: GenerateRequest): Promise<GeneratedPost> {
+    const format = await this.templates.loadFormat(request.format ?? 'single');
+    const style = await this.templates.loadStyle(request.style ?? 'professional');
+    const pattern = selectPattern(format, request.topic, request.pattern);
+    const { results: sources, mode } = await this.searcher.searchWithMode(request.topic, {
+      limit: request.sourceLimit,
+      categories: request.categories,
+    });
+
+    const response = await this.provider.complete(
+      buildPostPrompt({ topic: request.topic, format, style, pattern, sources })
+    );
+
+    const tweets = format.constraints.tweets ? splitTweets(response.text) : undefined;
+    const createdAt = new Date().toISOString();
+
+    return {
+      id: postId(createdAt, request.topic),
+      createdAt,
+      topic: request.topic,
+      category: request.categories?.[0] ?? dominantCategory(sources),
+      format: format.id,
+      pattern: pattern?.name,
+      style: style.id,
+      provider: { name: this.provider.name, model: this.provider.model },
+      retrieval: mode,
+      content: { text: tweets ? tweets.join('\n\n') : response.text, tweets },
+      sources: sources.map((s) => ({
+        chunkId: s.chunkId,
+        itemId: s.itemId,
+        source: s.source,
+        title: s.title,
+        category: s.category,
+        score: s.score,
+      })),
+      usage: response.usage,
+    };
+  }
+}
+
+function selectPattern(format: FormatSpec, topic: string, name?: string): PostPattern | undefined {
+  if (name) {
+    const pattern = format.patterns.find((p) => p.name === name);
+    if (!pattern) {
+      const available = format.patterns.map((p) => p.name).join(', ') || '(none)';
+      throw new Error(`Unknown pattern for ${format.id}: ${name} (available: ${available})`);
+    }
+    return pattern;
+  }
+  if (format.patterns.length === 0) {
+    return undefined;
+  }
+  const hash = parseInt(createHash('sha1').update(topic).digest('hex').slice(0, 8), 16);
+  return format.patterns[hash % format.patterns.length];
+}
+
+function dominantCategory(sources: SearchResult[]): KnowledgeCategory {
+  const counts = new Map<KnowledgeCategory, number>();
+  for (const source of sources) {
+    counts.set(source.category, (counts.get(source.category) ?? 0) + 1);
+  }
+  const [top] = [...counts].sort((a, b) => b[1] - a[1]);
+  return top ? top[0] : 'other';
+}
+
+function splitTweets(text: string): string[] {
+  return text
+    .split(new RegExp(`^\\s*${TWEET_SEPARATOR}\\s*$`, 'm'))
+    .map((tweet) => tweet.trim())
+    .filter(Boolean);
+}
+
+function postId(createdAt: string, topic: string): string {
+  const timestamp = createdAt.replace(/[-:]/g, '').replace(/\.\d+Z$/, '').replace('T', '-');
+  const hash = createHash('sha1').update(createdAt + topic).digest('hex').slice(0, 6);
+  return `${timestamp}-${hash}`;
+}
@@ -0,0 +1,37 @@
+/**
+ * 履歴のエクスポート (CSV / JSON)
+ */
+
+import type { HistoryEntry } from './store.js';
+
+const CSV_COLUMNS: [string, (entry: HistoryEntry) => string | number | undefined][] = [
+  ['id', (e) => e.id],
+  ['createdAt', (e) => e.createdAt],
+  ['status', (e) => e.status],
+  ['scheduledAt', (e) => e.scheduledAt],
+  ['postedAt', (e) => e.postedAt],
+  ['topic', (e) => e.topic],
+  ['category', (e) => e.category],
+  ['format', (e) => e.format],
+  ['pattern', (e) => e.pattern],
+  ['style', (e) => e.style],
+  ['tweets', (e) => e.content.tweets?.length ?? 1],
+  ['text', (e) => e.content.text],
+  ['sources', (e) => e.sources.map((s) => s.source).join(' ')],
+];
+
+export function toCsv(entries: HistoryEntry[]): string {
+  const rows = [
+    CSV_COLUMNS.map(([name]) => name),
+    ...entries.map((entry) => CSV_COLUMNS.map(([, value]) => String(value(entry) ?? ''))),
+  ];
+  return rows.map((row) => row.map(escapeCsv).join(',')).join('\n') + '\n';
+}
+
+export function toJson(entries: HistoryEntry[]): string {
+  return JSON.stringify(entries, null, 2) + '\n';
+}
+
+function escapeCsv(value: string): string {
+  return /[",\n\r]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+}
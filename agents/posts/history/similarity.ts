@@ -0,0 +1,50 @@
+/**
+ * 投稿の類似度 (文字 shingle の Jaccard 係数)
+ *
+ * ハッシュタグ・URL・スレッド番号・記号・空白を除いた本文で比較するため、
+ * 言い回しを少し変えただけの再投稿も検出できる。
+ */
+
+import { createHash } from 'crypto';
+
+const SHINGLE_SIZE = 3;
+
+export function normalizeForComparison(text: string): string {
+  return text
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(/https?:\/\/\S+/g, '')
+    .replace(/[#＃]\S+/g, '')
+    .replace(/(?:🧵\s*)?\d+\s*\/\s*\d+/g, '')
+    .replace(/[\s\p{P}\p{S}]+/gu, '');
+}
+
+export function contentHash(text: string): string {
+  return createHash('sha256').update(normalizeForComparison(text)).digest('hex');
+}
+
+export function shingles(text: string, size: number = SHINGLE_SIZE): Set<string> {
+  const chars = Array.from(normalizeForComparison(text));
+  const result = new Set<string>();
+  if (chars.length > 0 && chars.length < size) {
+    result.add(chars.join(''));
+  }
+  for (let i = 0; i + size <= chars.length; i++) {
+    result.add(chars.slice(i, i + size).join(''));
+  }
+  return result;
+}
+
+export function jaccard(a: Set<string>, b: Set<string>): number {
+  if (a.size === 0 && b.size === 0) {
+    return 0;
+  }
+  let intersection = 0;
+  const [small, large] = a.size <= b.size ? [a, b] : [b, a];
+  for (const item of small) {
+    if (large.has(item)) {
+      intersection++;
+    }
+  }
+  return intersection / (a.size + b.size - intersection);
+}
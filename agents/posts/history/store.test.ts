@@ -0,0 +1,62 @@
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { afterEach, beforeEach, describe, it } from 'node:test';
+import type { GeneratedPost } from '../generator.js';
+import { DuplicatePostError, HistoryStore } from './store.js';
+
+function post(id: string, text: string): GeneratedPost {
+  return {
+    id,
+    createdAt: '2026-01-01T00:00:00.000Z',
+    topic: 'エンゲージメント率',
+    category: 'analytics',
+    format: 'single',
+    style: 'professional',
+    provider: { name: 'mock', model: 'mock' },
+    retrieval: 'keyword',
+    content: { text },
+    sources: [],
+    usage: { inputTokens: 0, outputTokens: 0 },
+  };
+}
+
+describe('HistoryStore', () => {
+  let dir: string;
+  let store: HistoryStore;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'history-'));
+    store = new HistoryStore(dir);
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('clears a field when the change is undefined', async () => {
+    await store.add(post('a', 'エンゲージメント率は反応数をインプレッションで割った値です。'));
+    await store.update('a', { status: 'approved', scheduledAt: '2026-01-02T03:00:00.000Z' });
+    await store.update('a', { scheduledAt: undefined });
+    const entry = await store.get('a');
+    assert.equal(entry.scheduledAt, undefined);
+    assert.equal(entry.status, 'approved');
+  });
+
+  it('sets postedAt when a post is marked as posted', async () => {
+    await store.add(post('a', '投稿時間は昼と夜に固定しましょう。'));
+    const entry = await store.update('a', { status: 'posted' });
+    assert.equal(entry.postedAt, entry.updatedAt);
+  });
+
+  it('rejects near-duplicates unless allowed', async () => {
+    await store.add(post('a', 'エンゲージメント率は反応数をインプレッションで割った値です。'));
+    await assert.rejects(
+      store.add(post('b', 'エンゲージメント率は、反応数をインプレッションで割った値です！')),
+      DuplicatePostError
+    );
+    await store.add(post('c', 'エンゲージメント率は反応数をインプレッションで割った値です。'), { allowDuplicates: true });
+    assert.equal((await store.list()).length, 2);
+  });
+});
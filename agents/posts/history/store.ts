@@ -0,0 +1,194 @@
+/**
+ * Generated Post History
+ *
+ * knowledge/history/generated-posts/<id>.json に生成済み投稿を1件1ファイルで保存する。
+ * 新しい投稿を受け入れる前に、過去の投稿との重複・類似を検出する。
+ */
+
+import { promises as fs } from 'fs';
+import * as path from 'path';
+import { BM25Index } from '../../knowledge/search/bm25.js';
+import type { KnowledgeCategory } from '../../knowledge/types.js';
+import type { GeneratedPost } from '../generator.js';
+import { contentHash, jaccard, shingles } from './similarity.js';
+
+export const DEFAULT_HISTORY_DIR = path.join('knowledge', 'history', 'generated-posts');
+
+/** 既定の類似判定しきい値 (shingle Jaccard) */
+export const DEFAULT_SIMILARITY_THRESHOLD = 0.5;
+
+export const POST_STATUSES = ['draft', 'approved', 'posted'] as const;
+export type PostStatus = (typeof POST_STATUSES)[number];
+
+export interface HistoryEntry extends GeneratedPost {
+  status: PostStatus;
+  /** 正規化した本文の SHA-256 (完全重複の検出用) */
+  contentHash: string;
+  scheduledAt?: string;
+  postedAt?: string;
+  updatedAt: string;
+}
+
+export interface SimilarPost {
+  entry: HistoryEntry;
+  similarity: number;
+  /** 正規化後の本文が完全一致 */
+  exact: boolean;
+}
+
+export interface HistoryFilter {
+  status?: PostStatus;
+  category?: KnowledgeCategory;
+  format?: string;
+  since?: string;
+  until?: string;
+}
+
+export class DuplicatePostError extends Error {
+  readonly matches: SimilarPost[];
+
+  constructor(matches: SimilarPost[]) {
+    const top = matches[0];
+    super(
+      `Post is ${top.exact ? 'a duplicate' : 'too similar to'} ${top.entry.id} ` +
+        `(similarity ${top.similarity.toFixed(2)}, topic: ${top.entry.topic})`
+    );
+    this.name = 'DuplicatePostError';
+    this.matches = matches;
+  }
+}
+
+export class HistoryStore {
+  readonly dir: string;
+
+  constructor(dir: string = DEFAULT_HISTORY_DIR) {
+    this.dir = dir;
+  }
+
+  async list(filter: HistoryFilter = {}): Promise<HistoryEntry[]> {
+    const files = await fs.readdir(this.dir).catch(() => [] as string[]);
+    const entries: HistoryEntry[] = [];
+
+    for (const file of files.filter((f) => f.endsWith('.json')).sort()) {
+      const entry = normalizeEntry(JSON.parse(await fs.readFile(path.join(this.dir, file), 'utf-8')));
+      if (matchesFilter(entry, filter)) {
+        entries.push(entry);
+      }
+    }
+
+    return entries;
+  }
+
+  async get(id: string): Promise<HistoryEntry> {
+    try {
+      return normalizeEntry(JSON.parse(await fs.readFile(this.pathFor(id), 'utf-8')));
+    } catch (error: any) {
+      if (error.code === 'ENOENT') {
+        throw new Error(`History entry not found: ${id}`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * 過去の投稿との類似度を threshold 以上のものだけ高い順に返す
+   */
+  async findSimilar(text: string, threshold: number = DEFAULT_SIMILARITY_THRESHOLD): Promise<SimilarPost[]> {
+    const hash = contentHash(text);
+    const target = shingles(text);
+    const matches: SimilarPost[] = [];
+
+    for (const entry of await this.list()) {
+      const exact = entry.contentHash === hash;
+      const similarity = exact ? 1 : jaccard(target, shingles(entry.content.text));
+      if (similarity >= threshold) {
+        matches.push({ entry, similarity, exact });
+      }
+    }
+
+    return matches.sort((a, b) => b.similarity - a.similarity);
+  }
+
+  /**
+   * 生成済み投稿を draft として保存する。類似投稿があれば DuplicatePostError。
+   */
+  async add(
+    post: GeneratedPost,
+    options: { threshold?: number; allowDuplicates?: boolean } = {}
+  ): Promise<HistoryEntry> {
+    if (!options.allowDuplicates) {
+      const matches = await this.findSimilar(post.content.text, options.threshold);
+      if (matches.length > 0) {
+        throw new DuplicatePostError(matches);
+      }
+    }
+
+    const entry: HistoryEntry = {
+      ...post,
+      status: 'draft',
+      contentHash: contentHash(post.content.text),
+      updatedAt: post.createdAt,
+    };
+    await this.write(entry);
+    return entry;
+  }
+
+  async update(
+    id: string,
+    changes: Partial<Pick<HistoryEntry, 'status' | 'scheduledAt' | 'postedAt' | 'category'>>
+  ): Promise<HistoryEntry> {
+    const entry = { ...(await this.get(id)), ...changes, updatedAt: new Date().toISOString() };
+    if (changes.status === 'posted' && !entry.postedAt) {
+      entry.postedAt = entry.updatedAt;
+    }
+    await this.write(entry);
+    return entry;
+  }
+
+  /**
+   * トピック・本文に対する BM25 キーワード検索
+   */
+  async search(query: string, filter: HistoryFilter = {}): Promise<HistoryEntry[]> {
+    const entries = await this.list(filter);
+    const index = new BM25Index();
+    for (const entry of entries) {
+      index.add(entry.id, `${entry.topic}\n${entry.content.text}`);
+    }
+    const scores = index.score(query);
+    return entries
+      .filter((entry) => scores.has(entry.id))
+      .sort((a, b) => scores.get(b.id)! - scores.get(a.id)!);
+  }
+
+  pathFor(id: string): string {
+    return path.join(this.dir, `${id}.json`);
+  }
+
+  private async write(entry: HistoryEntry): Promise<void> {
+    await fs.mkdir(this.dir, { recursive: true });
+    await fs.writeFile(this.pathFor(entry.id), JSON.stringify(entry, null, 2) + '\n', 'utf-8');
+  }
+}
+
+/**
+ * status 等を持たない古い生成ファイルも draft として扱う
+ */
+function normalizeEntry(raw: GeneratedPost & Partial<HistoryEntry>): HistoryEntry {
+  return {
+    ...raw,
+    category: raw.category ?? 'other',
+    status: raw.status ?? 'draft',
+    contentHash: raw.contentHash ?? contentHash(raw.content.text),
+    updatedAt: raw.updatedAt ?? raw.createdAt,
+  };
+}
+
+function matchesFilter(entry: HistoryEntry, filter: HistoryFilter): boolean {
+  return (
+    (!filter.status || entry.status === filter.status) &&
+    (!filter.category || entry.category === filter.category) &&
+    (!filter.format || entry.format === filter.format) &&
+    (!filter.since || entry.createdAt >= filter.since) &&
+    (!filter.until || entry.createdAt < filter.until)
+  );
+}
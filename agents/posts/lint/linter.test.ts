@@ -0,0 +1,92 @@
+import assert from 'node:assert/strict';
+import { before, describe, it } from 'node:test';
+import { TemplateLibrary } from '../templates.js';
+import { PostLinter, type LintReport } from './linter.js';
+
+const BODY =
+  'エンゲージメント率は「いいね・リポスト・返信の合計 ÷ インプレッション」で計算します。' +
+  '私の経験では、投稿時間を昼休みと夜に固定するだけで2%を超えることが多いです。' +
+  'まずは1週間、同じ時間帯で投稿して数値を比べてみてください。📊';
+const HASHTAGS = '#SNSマーケティング #X運用';
+
+function result(report: LintReport, rule: string) {
+  const found = report.results.find((r) => r.rule === rule);
+  assert.ok(found, `no ${rule} result`);
+  return found;
+}
+
+describe('PostLinter', () => {
+  let single: PostLinter;
+  let thread: PostLinter;
+
+  before(async () => {
+    const templates = new TemplateLibrary();
+    single = await PostLinter.load('single', 'professional', templates);
+    thread = await PostLinter.load('thread', 'professional', templates);
+  });
+
+  it('passes a post that follows the single format and professional style', () => {
+    const report = single.lint(`${BODY}\n\n${HASHTAGS}`);
+    assert.deepEqual(
+      report.results.filter((r) => !r.passed),
+      []
+    );
+    assert.equal(report.passed, true);
+  });
+
+  it('fails posts over 280 weighted chars with a suggestion', () => {
+    const check = result(single.lint(`${BODY}${'あ'.repeat(100)}\n\n${HASHTAGS}`), 'character-length');
+    assert.equal(check.passed, false);
+    assert.match(check.suggestion!, /Shorten by \d+/);
+  });
+
+  it('does not treat Japanese text glued to a URL as part of the URL', () => {
+    // 128 × 2 + 23 (URL) + 6 (を参照) = 285
+    const check = result(single.lint(`${'あ'.repeat(128)}https://example.comを参照`), 'character-length');
+    assert.equal(check.passed, false);
+    assert.match(check.message, /^285 /);
+  });
+
+  it('allows at most one link', () => {
+    const check = result(single.lint(`${BODY} https://a.example https://b.example\n\n${HASHTAGS}`), 'link-count');
+    assert.equal(check.passed, false);
+  });
+
+  it('requires 2-3 hashtags on the last line', () => {
+    assert.equal(result(single.lint(BODY), 'hashtag-count').passed, false);
+    const misplaced = single.lint(`#SNSマーケティング ${BODY}\n\n#X運用`);
+    assert.equal(result(misplaced, 'hashtag-placement').passed, false);
+  });
+
+  it('flags banned phrases written with 〜 in the style guide', () => {
+    for (const phrase of ['絶対に伸びる方法です。', '伸びるのだと思います。']) {
+      const hits = single.lint(`${BODY}${phrase}\n\n${HASHTAGS}`).results.filter(
+        (r) => r.rule === 'banned-phrase' && !r.passed
+      );
+      assert.equal(hits.length, 1, phrase);
+      assert.ok(hits[0].suggestion);
+    }
+  });
+
+  it('rejects emoji outside the style whitelist', () => {
+    const check = result(single.lint(`${BODY}😂\n\n${HASHTAGS}`), 'emoji-whitelist');
+    assert.equal(check.passed, false);
+    assert.match(check.message, /😂/);
+  });
+
+  it('checks thread numbering, hashtags in the last tweet and the closing CTA', () => {
+    const tweets = [`🧵 1/3 ${BODY}`, `2/3 ${BODY}`, `3/3 ${BODY}\n\n${HASHTAGS}`];
+    const report = thread.lint(tweets);
+    assert.ok(report.results.filter((r) => r.rule === 'thread-numbering').every((r) => r.passed));
+    assert.equal(result(report, 'hashtag-placement').passed, true);
+    assert.equal(result(report, 'closing-cta').passed, true);
+
+    const unnumbered = thread.lint([BODY, `2/3 ${BODY}`, `3/3 ${BODY}\n\n${HASHTAGS}`]);
+    const missing = unnumbered.results.find((r) => r.rule === 'thread-numbering' && !r.passed);
+    assert.equal(missing?.tweetIndex, 0);
+  });
+
+  it('rejects threads with too few tweets', () => {
+    assert.equal(result(thread.lint([`1/2 ${BODY}`, `2/2 ${BODY}`]), 'tweet-count').passed, false);
+  });
+});
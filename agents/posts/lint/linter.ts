@@ -0,0 +1,65 @@
+/**
+ * Post Linter
+ *
+ * フォーマット/スタイルテンプレートから読み取ったルールで投稿を検証する。
+ * 履歴保存前のゲートとして使う。
+ */
+
+import { TemplateLibrary, type FormatSpec, type StyleSpec } from '../templates.js';
+import { RULES, type LintResult } from './rules.js';
+
+export interface LintReport {
+  format: string;
+  style: string;
+  passed: boolean;
+  results: LintResult[];
+}
+
+export class PostLinter {
+  private readonly format: FormatSpec;
+  private readonly style: StyleSpec;
+
+  constructor(format: FormatSpec, style: StyleSpec) {
+    this.format = format;
+    this.style = style;
+  }
+
+  static async load(
+    formatId: string,
+    styleId: string,
+    templates: TemplateLibrary = new TemplateLibrary()
+  ): Promise<PostLinter> {
+    return new PostLinter(await templates.loadFormat(formatId), await templates.loadStyle(styleId));
+  }
+
+  /**
+   * @param post 単独投稿の本文、またはスレッドのツイート配列
+   */
+  lint(post: string | string[]): LintReport {
+    const tweets = (Array.isArray(post) ? post : [post]).map((tweet) => tweet.trim()).filter(Boolean);
+    const results = RULES.flatMap((rule) => rule({ tweets, format: this.format, style: this.style }));
+
+    return {
+      format: this.format.id,
+      style: this.style.id,
+      passed: results.every((result) => result.passed),
+      results,
+    };
+  }
+}
+
+export function formatReport(report: LintReport): string {
+  const lines = report.results.map((result) => {
+    const where = result.tweetIndex !== undefined ? ` [tweet ${result.tweetIndex + 1}]` : '';
+    const head = `${result.passed ? '✅' : '❌'} ${result.rule}${where}: ${result.message}`;
+    return result.suggestion ? `${head}\n   💡 ${result.suggestion}` : head;
+  });
+  const failed = report.results.filter((r) => !r.passed).length;
+  lines.push(
+    '',
+    report.passed
+      ? `✅ ${report.format}/${report.style}: all ${report.results.length} checks passed`
+      : `❌ ${report.format}/${report.style}: ${failed} of ${report.results.length} checks failed`
+  );
+  return lines.join('\n');
+}
@@ -0,0 +1,262 @@
+/**
+ * 投稿チェックルール
+ *
+ * テンプレートのチェックリストを機械的に検証できる形にしたもの。
+ * 閾値はすべて FormatSpec / StyleSpec (テンプレートの Markdown) から読み取る。
+ */
+
+import type { FormatSpec, StyleSpec } from '../templates.js';
+import { URL_PATTERN, weightedLength } from './weighted-length.js';
+
+export interface LintResult {
+  rule: string;
+  passed: boolean;
+  message: string;
+  /** 不合格時の修正案 */
+  suggestion?: string;
+  /** スレッドの何ツイート目か (0始まり) */
+  tweetIndex?: number;
+}
+
+export interface LintContext {
+  tweets: string[];
+  format: FormatSpec;
+  style: StyleSpec;
+}
+
+export type LintRule = (context: LintContext) => LintResult[];
+
+const HASHTAG = /(?:^|[\s　])[#＃]([^\s　#＃]+)/g;
+const EMOJI = /\p{Extended_Pictographic}(?:\uFE0F|\u200D\p{Extended_Pictographic})*/gu;
+const CTA = /フォロー|チェック|保存|リポスト|リツイート|コメント|いいね|シェア|ぜひ|ご参考になれば|教えてください|してみてください|しましょう/;
+/** スレッド番号の絵文字 (🧵) は番号付けの一部として絵文字数に数えない */
+const NUMBERING_EMOJI = '🧵';
+
+export function hashtags(text: string): string[] {
+  return [...text.matchAll(HASHTAG)].map((m) => m[1]);
+}
+
+export function emojis(text: string): string[] {
+  return text.match(EMOJI) ?? [];
+}
+
+const characterLength: LintRule = ({ tweets, format }) => {
+  const range = format.constraints.characters;
+  if (!range) {
+    return [];
+  }
+  return tweets.map((tweet, i) => {
+    const length = weightedLength(tweet);
+    const passed = length >= range.min && length <= range.max;
+    return {
+      rule: 'character-length',
+      passed,
+      message: `${length} weighted chars (allowed ${range.min}-${range.max})`,
+      suggestion: passed
+        ? undefined
+        : length > range.max
+          ? `Shorten by ${length - range.max} weighted chars (CJK counts as 2, URLs as 23)`
+          : `Add ${range.min - length} weighted chars of concrete detail or data`,
+      tweetIndex: tweets.length > 1 ? i : undefined,
+    };
+  });
+};
+
+const hashtagCount: LintRule = ({ tweets, format }) => {
+  const rule = format.constraints.hashtags;
+  if (!rule) {
+    return [];
+  }
+
+  const target = rule.placement === 'last-tweet' ? tweets[tweets.length - 1] : tweets.join('\n');
+  const count = hashtags(target).length;
+  const passed = count >= rule.min && count <= rule.max;
+  const results: LintResult[] = [
+    {
+      rule: 'hashtag-count',
+      passed,
+      message: `${count} hashtags${rule.placement === 'last-tweet' ? ' in the last tweet' : ''} (allowed ${rule.min}-${rule.max})`,
+      suggestion: passed
+        ? undefined
+        : count > rule.max
+          ? `Remove ${count - rule.max} hashtag(s)`
+          : `Add ${rule.min - count} relevant hashtag(s)`,
+    },
+  ];
+
+  if (rule.placement === 'last-tweet') {
+    const misplaced = tweets.slice(0, -1).flatMap((tweet, i) => (hashtags(tweet).length > 0 ? [i] : []));
+    results.push({
+      rule: 'hashtag-placement',
+      passed: misplaced.length === 0,
+      message:
+        misplaced.length === 0
+          ? 'Hashtags only in the last tweet'
+          : `Hashtags found in tweet(s) ${misplaced.map((i) => i + 1).join(', ')}`,
+      suggestion: misplaced.length === 0 ? undefined : 'Move all hashtags to the last tweet',
+    });
+  } else if (rule.placement === 'end') {
+    const text = tweets.join('\n').trimEnd();
+    const lastLine = text.split('\n').pop() ?? '';
+    const trailing = hashtags(lastLine).length;
+    const passed = count === 0 || trailing === count;
+    results.push({
+      rule: 'hashtag-placement',
+      passed,
+      message: passed ? 'Hashtags at the end' : `${count - trailing} hashtag(s) not on the last line`,
+      suggestion: passed ? undefined : 'Put all hashtags on the final line',
+    });
+  }
+
+  return results;
+};
+
+const linkCount: LintRule = ({ tweets, format }) => {
+  const rule = format.constraints.links;
+  if (!rule) {
+    return [];
+  }
+  const count = (tweets.join('\n').match(URL_PATTERN) ?? []).length;
+  const passed = count <= rule.max;
+  return [
+    {
+      rule: 'link-count',
+      passed,
+      message: `${count} link(s) (max ${rule.max})`,
+      suggestion: passed ? undefined : `Keep only the most important link (remove ${count - rule.max})`,
+    },
+  ];
+};
+
+const emojiUsage: LintRule = ({ tweets, style }) => {
+  const found = emojis(tweets.join('\n')).filter((e) => e !== NUMBERING_EMOJI);
+  const results: LintResult[] = [];
+
+  if (style.emoji.range) {
+    const { min, max } = style.emoji.range;
+    const passed = found.length >= min && found.length <= max;
+    results.push({
+      rule: 'emoji-count',
+      passed,
+      message: `${found.length} emoji (allowed ${min}-${max})`,
+      suggestion: passed ? undefined : `Remove ${found.length - max} emoji`,
+    });
+  }
+
+  if (style.emoji.allowed.length > 0) {
+    const allowed = new Set(style.emoji.allowed.map(stripVariation));
+    const disallowed = [...new Set(found.filter((e) => !allowed.has(stripVariation(e))))];
+    results.push({
+      rule: 'emoji-whitelist',
+      passed: disallowed.length === 0,
+      message:
+        disallowed.length === 0 ? 'Only business-safe emoji' : `Emoji not in the whitelist: ${disallowed.join(' ')}`,
+      suggestion:
+        disallowed.length === 0 ? undefined : `Replace with one of: ${style.emoji.allowed.join(' ')} (or remove)`,
+    });
+  }
+
+  return results;
+};
+
+const bannedPhrases: LintRule = ({ tweets, style }) => {
+  const text = tweets.join('\n');
+  return style.avoid
+    .filter((rule) => rule.phrase)
+    .map((rule) => {
+      const pattern = phrasePattern(rule.phrase!);
+      const hit = text.match(pattern)?.[0];
+      return {
+        rule: 'banned-phrase',
+        passed: !hit,
+        message: hit ? `Contains 「${hit}」 (${rule.reason ?? 'avoid'})` : `No 「${rule.phrase}」`,
+        suggestion: hit
+          ? `Rephrase without 「${rule.phrase}」; prefer ${style.recommended.slice(0, 2).map((r) => `「${r}」`).join(' / ')}`
+          : undefined,
+      };
+    });
+};
+
+const tweetCount: LintRule = ({ tweets, format }) => {
+  const rule = format.constraints.tweets;
+  if (!rule) {
+    return [];
+  }
+  const count = tweets.length;
+  const passed = count >= rule.min && count <= rule.max;
+  const recommended = rule.recommended;
+  return [
+    {
+      rule: 'tweet-count',
+      passed,
+      message: `${count} tweets (allowed ${rule.min}-${rule.max}${recommended ? `, recommended ${recommended.min}-${recommended.max}` : ''})`,
+      suggestion: passed
+        ? undefined
+        : count > rule.max
+          ? `Merge or cut ${count - rule.max} tweet(s)`
+          : `Split the content into at least ${rule.min} tweets`,
+    },
+  ];
+};
+
+const threadNumbering: LintRule = ({ tweets, format }) => {
+  if (!format.constraints.numbering || tweets.length < 2) {
+    return [];
+  }
+  const total = tweets.length;
+  return tweets.map((tweet, i) => {
+    const expected = `${i + 1}/${total}`;
+    const head = tweet.split('\n').slice(0, 2).join(' ');
+    const passed = new RegExp(`(^|[^\\d])${i + 1}\\s*/\\s*${total}([^\\d]|$)`).test(head);
+    return {
+      rule: 'thread-numbering',
+      passed,
+      message: passed ? `Numbered ${expected}` : `Missing 「${expected}」 at the start`,
+      suggestion: passed ? undefined : `Start the tweet with 「${i === 0 ? `${NUMBERING_EMOJI} ` : ''}${expected}」`,
+      tweetIndex: i,
+    };
+  });
+};
+
+const closingCta: LintRule = ({ tweets, format }) => {
+  if (!format.constraints.tweets) {
+    return [];
+  }
+  const last = tweets[tweets.length - 1] ?? '';
+  const passed = CTA.test(last);
+  return [
+    {
+      rule: 'closing-cta',
+      passed,
+      message: passed ? 'Last tweet has a CTA' : 'No call to action in the last tweet',
+      suggestion: passed ? undefined : '例:「気になった方はフォローして続きもチェック！」を最終ツイートに追加',
+      tweetIndex: tweets.length - 1,
+    },
+  ];
+};
+
+export const RULES: LintRule[] = [
+  characterLength,
+  tweetCount,
+  threadNumbering,
+  hashtagCount,
+  linkCount,
+  emojiUsage,
+  bannedPhrases,
+  closingCta,
+];
+
+/**
+ * 「絶対に〜」「〜だと思います」の「〜」を任意文字列として扱う
+ */
+function phrasePattern(phrase: string): RegExp {
+  const literal = phrase
+    .split(/[〜～]/)
+    .filter(Boolean)
+    .map((part) => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  return new RegExp(literal.join('.{0,20}?'));
+}
+
+function stripVariation(emoji: string): string {
+  return emoji.replace(/\uFE0F/g, '');
+}
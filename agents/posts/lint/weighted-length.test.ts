@@ -0,0 +1,36 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { MAX_WEIGHTED_LENGTH, weightedLength } from './weighted-length.js';
+
+describe('weightedLength', () => {
+  it('counts Latin characters as 1 and CJK as 2', () => {
+    assert.equal(weightedLength('hello'), 5);
+    assert.equal(weightedLength('あいう'), 6);
+    assert.equal(weightedLength('SNS運用'), 7);
+  });
+
+  it('counts each emoji grapheme as 2, including ZWJ sequences', () => {
+    assert.equal(weightedLength('✅'), 2);
+    assert.equal(weightedLength('👨‍👩‍👧'), 2);
+    assert.equal(weightedLength('📊 data'), 7);
+  });
+
+  it('counts any URL as 23', () => {
+    assert.equal(weightedLength('https://example.com/a/very/long/path?utm_source=x&id=1'), 23);
+    assert.equal(weightedLength('http://t.co'), 23);
+  });
+
+  it('stops a URL at Japanese text glued to it', () => {
+    assert.equal(weightedLength('https://example.comを参照'), 29);
+  });
+
+  it('stops a URL at trailing punctuation and full-width spaces', () => {
+    assert.equal(weightedLength('See https://example.com.'), 28);
+    assert.equal(weightedLength('https://example.com　次'), 27);
+  });
+
+  it('uses the 280 limit', () => {
+    assert.equal(MAX_WEIGHTED_LENGTH, 280);
+    assert.equal(weightedLength('あ'.repeat(140)), MAX_WEIGHTED_LENGTH);
+  });
+});
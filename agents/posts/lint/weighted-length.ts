@@ -0,0 +1,49 @@
+/**
+ * X (Twitter) の重み付き文字数
+ *
+ * twitter-text v3 の設定に準拠:
+ * - 下記の範囲 (ラテン文字・一般的な記号) は 1、それ以外 (CJK 等) は 2
+ * - 絵文字は1書記素あたり 2
+ * - URL は長さに関わらず 23
+ * 上限は 280。
+ */
+
+export const MAX_WEIGHTED_LENGTH = 280;
+export const URL_LENGTH = 23;
+
+const LIGHT_RANGES: [number, number][] = [
+  [0x0000, 0x10ff],
+  [0x2000, 0x200d],
+  [0x2010, 0x201f],
+  [0x2032, 0x2037],
+];
+
+/**
+ * URL は ASCII の URL 使用可能文字のみで構成され、文末の句読点・閉じ括弧は含めない
+ * (「https://example.comを参照」の「を参照」は URL に含めない)
+ */
+export const URL_PATTERN = /https?:\/\/[A-Za-z0-9\-._~:/?#[\]@!$&'()*+,;=%]*[A-Za-z0-9\-_~/#=&%+]/g;
+
+const segmenter = new Intl.Segmenter('ja', { granularity: 'grapheme' });
+
+export function weightedLength(text: string): number {
+  const urls = text.match(URL_PATTERN) ?? [];
+  const rest = text.replace(URL_PATTERN, '');
+  let length = urls.length * URL_LENGTH;
+
+  for (const { segment } of segmenter.segment(rest.normalize('NFC'))) {
+    if (/\p{Extended_Pictographic}/u.test(segment)) {
+      length += 2;
+      continue;
+    }
+    for (const char of segment) {
+      length += isLight(char.codePointAt(0)!) ? 1 : 2;
+    }
+  }
+
+  return length;
+}
+
+function isLight(codePoint: number): boolean {
+  return LIGHT_RANGES.some(([from, to]) => codePoint >= from && codePoint <= to);
+}
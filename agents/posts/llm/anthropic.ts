@@ -0,0 +1,73 @@
+/**
+ * Anthropic Messages API プロバイダ
+ */
+
+import { UsageRecorder } from '../../economic/usage.js';
+import type { LLMProvider, LLMRequest, LLMResponse } from './provider.js';
+
+const ENDPOINT = 'https://api.anthropic.com/v1/messages';
+const API_VERSION = '2023-06-01';
+const DEFAULT_MODEL = 'claude-3-5-sonnet-latest';
+
+export interface AnthropicProviderOptions {
+  model?: string;
+  apiKey?: string;
+  /** トークン使用量の記録先 (null で記録しない) */
+  recorder?: UsageRecorder | null;
+}
+
+interface MessagesResponse {
+  content: { type: string; text?: string }[];
+  usage: { input_tokens: number; output_tokens: number };
+}
+
+export class AnthropicProvider implements LLMProvider {
+  readonly name = 'anthropic';
+  readonly model: string;
+  private readonly apiKey: string | undefined;
+  private readonly recorder: UsageRecorder | null;
+
+  constructor(options: AnthropicProviderOptions = {}) {
+    this.model = options.model ?? process.env.ANTHROPIC_MODEL ?? DEFAULT_MODEL;
+    this.apiKey = options.apiKey ?? process.env.ANTHROPIC_API_KEY;
+    this.recorder = options.recorder === undefined ? new UsageRecorder() : options.recorder;
+  }
+
+  async complete(request: LLMRequest): Promise<LLMResponse> {
+    if (!this.apiKey) {
+      throw new Error('ANTHROPIC_API_KEY is not set. Use `--provider mock` for offline generation.');
+    }
+
+    const response = await fetch(ENDPOINT, {
+      method: 'POST',
+      headers: {
+        'x-api-key': this.apiKey,
+        'anthropic-version': API_VERSION,
+        'content-type': 'application/json',
+      },
+      body: JSON.stringify({
+        model: this.model,
+        max_tokens: request.maxTokens ?? 1024,
+        system: request.system,
+        messages: [{ role: 'user', content: request.prompt }],
+      }),
+    });
+
+    if (!response.ok) {
+      throw new Error(`Anthropic request failed: ${response.status} ${await response.text()}`);
+    }
+
+    const body = (await response.json()) as MessagesResponse;
+    await this.recorder?.tryRecord({
+      service: 'anthropic',
+      operation: 'generation',
+      model: this.model,
+      inputTokens: body.usage.input_tokens,
+      outputTokens: body.usage.output_tokens,
+    });
+    return {
+      text: body.content.map((block) => block.text ?? '').join('').trim(),
+      usage: { inputTokens: body.usage.input_tokens, outputTokens: body.usage.output_tokens },
+    };
+  }
+}
@@ -0,0 +1,65 @@
+/**
+ * Mock LLM プロバイダ
+ *
+ * ネットワークを使わず、プロンプト内の「トピック」「形式」「参考ナレッジ」から
+ * 決定的な投稿文を組み立てる。テストやドライランで使う。
+ * 応答を固定したい場合は responder を渡す。
+ */
+
+import type { LLMProvider, LLMRequest, LLMResponse } from './provider.js';
+
+export type MockResponder = (request: LLMRequest) => string;
+
+export class MockLLMProvider implements LLMProvider {
+  readonly name = 'mock';
+  readonly model = 'mock-1';
+  readonly requests: LLMRequest[] = [];
+  private readonly responder: MockResponder;
+
+  constructor(responder: MockResponder = defaultResponder) {
+    this.responder = responder;
+  }
+
+  async complete(request: LLMRequest): Promise<LLMResponse> {
+    this.requests.push(request);
+    const text = this.responder(request);
+    return {
+      text,
+      usage: { inputTokens: estimateTokens(request.system + request.prompt), outputTokens: estimateTokens(text) },
+    };
+  }
+}
+
+function defaultResponder(request: LLMRequest): string {
+  const field = (label: string) => request.prompt.match(new RegExp(`^${label}: (.+)$`, 'm'))?.[1]?.trim() ?? '';
+  const topic = field('トピック');
+  const isThread = field('形式').startsWith('thread');
+  const facts = [...request.prompt.matchAll(/^\[\d+\] .+?\n(.+)$/gm)].map((m) => firstSentence(m[1])).slice(0, 3);
+  const hashtags = `#${topic.replace(/\s+/g, '')} #X運用`;
+
+  if (!isThread) {
+    return [`【${topic}のポイント】`, facts[0] ?? `${topic}で成果を出すには、データに基づく改善が重要です。`, hashtags].join(
+      '\n\n'
+    );
+  }
+
+  const body = facts.length > 0 ? facts : [`${topic}の基本を押さえることが重要です。`];
+  const total = body.length + 2;
+  return [
+    `🧵 1/${total}\n${topic}について、多くの人が誤解していることがあります。`,
+    ...body.map((fact, i) => `${i + 2}/${total}\n${fact}`),
+    `${total}/${total} 【まとめ】\n\n${topic}は継続的な改善が鍵です。\n\n気になった方はフォローして続きもチェック！\n\n${hashtags}`,
+  ].join('\n---\n');
+}
+
+function firstSentence(text: string): string {
+  const sentence = text.match(/[^。！？]*[。！？]/)?.[0] ?? text;
+  return sentence.trim().slice(0, 120);
+}
+
+/**
+ * 日本語を含むテキストのトークン数を概算する (1トークン ≒ 2文字)
+ */
+function estimateTokens(text: string): number {
+  return Math.ceil(text.length / 2);
+}
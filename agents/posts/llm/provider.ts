@@ -0,0 +1,45 @@
+/**
+ * LLM Provider インターフェース
+ *
+ * 投稿生成に使うモデルを差し替え可能にする。
+ * - anthropic: Anthropic Messages API (ANTHROPIC_API_KEY 必須)
+ * - mock:      オフライン・決定的な応答 (テスト/ドライラン用)
+ */
+
+import { AnthropicProvider } from './anthropic.js';
+import { MockLLMProvider } from './mock.js';
+
+export interface LLMRequest {
+  system: string;
+  prompt: string;
+  maxTokens?: number;
+}
+
+export interface LLMUsage {
+  inputTokens: number;
+  outputTokens: number;
+}
+
+export interface LLMResponse {
+  text: string;
+  usage: LLMUsage;
+}
+
+export interface LLMProvider {
+  readonly name: string;
+  readonly model: string;
+  complete(request: LLMRequest): Promise<LLMResponse>;
+}
+
+export const LLM_PROVIDERS = ['anthropic', 'mock'] as const;
+
+export function createLLMProvider(name: string = process.env.X_NETA_LLM_PROVIDER ?? 'anthropic'): LLMProvider {
+  switch (name) {
+    case 'anthropic':
+      return new AnthropicProvider();
+    case 'mock':
+      return new MockLLMProvider();
+    default:
+      throw new Error(`Unknown LLM provider: ${name} (expected one of ${LLM_PROVIDERS.join(', ')})`);
+  }
+}
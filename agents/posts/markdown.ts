@@ -0,0 +1,125 @@
+/**
+ * テンプレート用の最小 Markdown パーサ
+ *
+ * 見出しごとにセクションを切り出し、箇条書き (ネスト対応)・コードブロック・本文を保持する。
+ */
+
+export interface ListItem {
+  text: string;
+  children: ListItem[];
+}
+
+export interface MarkdownSection {
+  level: number;
+  heading: string;
+  paragraphs: string[];
+  items: ListItem[];
+  codeBlocks: string[];
+  children: MarkdownSection[];
+}
+
+export function parseMarkdown(source: string): MarkdownSection {
+  const root: MarkdownSection = emptySection(0, '');
+  const stack: MarkdownSection[] = [root];
+  const lines = source.replace(/\r\n?/g, '\n').split('\n');
+
+  let listStack: { indent: number; item: ListItem }[] = [];
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    const current = stack[stack.length - 1];
+
+    if (line.startsWith('```')) {
+      const body: string[] = [];
+      for (i++; i < lines.length && !lines[i].startsWith('```'); i++) {
+        body.push(lines[i]);
+      }
+      current.codeBlocks.push(body.join('\n'));
+      listStack = [];
+      continue;
+    }
+
+    const heading = line.match(/^(#{1,6})\s+(.+?)\s*$/);
+    if (heading) {
+      const section = emptySection(heading[1].length, heading[2]);
+      while (stack[stack.length - 1].level >= section.level) {
+        stack.pop();
+      }
+      stack[stack.length - 1].children.push(section);
+      stack.push(section);
+      listStack = [];
+      continue;
+    }
+
+    const bullet = line.match(/^(\s*)(?:[-*]|\d+\.)\s+(.*)$/);
+    if (bullet) {
+      const indent = bullet[1].length;
+      const item: ListItem = { text: stripCheckbox(bullet[2].trim()), children: [] };
+      while (listStack.length > 0 && listStack[listStack.length - 1].indent >= indent) {
+        listStack.pop();
+      }
+      const parent = listStack[listStack.length - 1];
+      (parent ? parent.item.children : current.items).push(item);
+      listStack.push({ indent, item });
+      continue;
+    }
+
+    if (line.trim()) {
+      current.paragraphs.push(line.trim());
+    }
+    listStack = [];
+  }
+
+  return root;
+}
+
+/**
+ * 見出しテキストに keyword を含む最初のセクションを深さ優先で探す
+ */
+export function findSection(section: MarkdownSection, keyword: string): MarkdownSection | undefined {
+  for (const child of section.children) {
+    if (child.heading.includes(keyword)) {
+      return child;
+    }
+    const found = findSection(child, keyword);
+    if (found) {
+      return found;
+    }
+  }
+  return undefined;
+}
+
+export function flattenItems(items: ListItem[]): string[] {
+  return items.flatMap((item) => [item.text, ...flattenItems(item.children)]);
+}
+
+/**
+ * 「」で囲まれた部分を取り出す。なければ原文を返す。
+ */
+export function unquote(text: string): string {
+  const quoted = text.match(/「(.+)」/);
+  return quoted ? quoted[1] : text;
+}
+
+/**
+ * "140-280" / "2-3" / "0-2" / "1つまで" 形式の範囲を取り出す
+ */
+export function parseRange(text: string): { min: number; max: number } | undefined {
+  const range = text.match(/(\d+)\s*[-–〜~]\s*(\d+)/);
+  if (range) {
+    return { min: parseInt(range[1], 10), max: parseInt(range[2], 10) };
+  }
+  const upTo = text.match(/(\d+)\s*(?:つ|個|件)?まで/);
+  if (upTo) {
+    return { min: 0, max: parseInt(upTo[1], 10) };
+  }
+  return undefined;
+}
+
+function emptySection(level: number, heading: string): MarkdownSection {
+  return { level, heading, paragraphs: [], items: [], codeBlocks: [], children: [] };
+}
+
+function stripCheckbox(text: string): string {
+  return text.replace(/^\[[ xX]\]\s*/, '');
+}
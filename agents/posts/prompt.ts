@@ -0,0 +1,92 @@
+/**
+ * 投稿生成プロンプトの組み立て
+ */
+
+import type { SearchResult } from '../knowledge/search/hybrid-search.js';
+import type { LLMRequest } from './llm/provider.js';
+import type { FormatSpec, PostPattern, StyleSpec } from './templates.js';
+
+export const TWEET_SEPARATOR = '---';
+
+export interface PromptInput {
+  topic: string;
+  format: FormatSpec;
+  style: StyleSpec;
+  pattern?: PostPattern;
+  sources: SearchResult[];
+}
+
+export function buildPostPrompt(input: PromptInput): LLMRequest {
+  const { topic, format, style, pattern, sources } = input;
+  const isThread = format.constraints.tweets !== undefined;
+
+  const sections: string[] = [
+    [`トピック: ${topic}`, `形式: ${format.id} (${format.title})`, `スタイル: ${style.id} (${style.title})`]
+      .concat(pattern ? [`パターン: ${pattern.name}`] : [])
+      .join('\n'),
+    heading('制約', Object.entries(format.constraints.raw).map(([key, value]) => `- ${key}: ${value}`)),
+  ];
+
+  if (pattern) {
+    sections.push(heading(`構成 (${pattern.name})`, [pattern.structure]));
+    if (pattern.example) {
+      sections.push(heading('参考例', [pattern.example]));
+    }
+  }
+
+  if (format.structure.length > 0) {
+    sections.push(
+      heading(
+        '構成',
+        format.structure.map(
+          (part) =>
+            `- ${part.name}${part.position ? `（${part.position}）` : ''}: ${part.guidelines.join(' / ')}`
+        )
+      )
+    );
+  }
+  if (format.examples.length > 0) {
+    sections.push(heading('参考例', [format.examples.join(`\n${TWEET_SEPARATOR}\n`)]));
+  }
+
+  sections.push(
+    heading('スタイル', [
+      ...style.features.map((f) => `- ${f}`),
+      ...style.tone.map((t) => `- トーン: ${t}`),
+      `- 推奨表現: ${style.recommended.map((r) => `「${r}」`).join(' ')}`,
+      `- 避ける表現: ${style.avoid.map((a) => a.text).join(' / ')}`,
+      style.emoji.range
+        ? `- 絵文字: ${style.emoji.range.min}-${style.emoji.range.max}個まで。使用可: ${style.emoji.allowed.join(' ')}`
+        : '',
+    ].filter(Boolean))
+  );
+
+  sections.push(
+    heading(
+      '参考ナレッジ',
+      sources.length > 0
+        ? sources.map((s, i) => `[${i + 1}] ${s.title} — ${s.source}\n${s.text.replace(/\s*\n\s*/g, ' ')}`)
+        : ['(該当なし。一般的な知識の範囲で、誇張や断定を避けて書くこと)']
+    )
+  );
+
+  sections.push(
+    heading('出力', [
+      '投稿本文のみを出力してください。前置きや説明は不要です。',
+      '参考ナレッジに含まれない数字や事実を作らないでください。',
+      ...(isThread ? [`スレッドの各ツイートは「${TWEET_SEPARATOR}」だけの行で区切ってください。`] : []),
+    ])
+  );
+
+  return {
+    system:
+      'あなたはX(旧Twitter)運用の専門家です。与えられたテンプレートとスタイル定義、' +
+      '参考ナレッジに厳密に従って日本語の投稿文を作成します。',
+    prompt: sections.join('\n\n'),
+    maxTokens: isThread ? 2048 : 1024,
+  };
+}
+
+function heading(title: string, lines: string[]): string {
+  return `## ${title}\n${lines.join('\n')}`;
+}
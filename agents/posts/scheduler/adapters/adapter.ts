@@ -0,0 +1,54 @@
+/**
+ * Publish Adapter インターフェース
+ *
+ * - file: knowledge/history/outbox/ に書き出すだけのオフライン用 (テスト/ドライラン)
+ * - x:    X API v2 (POST /2/tweets) で実際に投稿する
+ */
+
+import type { HistoryEntry } from '../../history/store.js';
+import { FilePublishAdapter } from './file.js';
+import { XApiPublishAdapter } from './x-api.js';
+
+export interface PublishResult {
+  /** 投稿された各ツイートのID (スレッドは先頭から順に) */
+  externalIds: string[];
+  url?: string;
+}
+
+export interface PublishAdapter {
+  readonly name: string;
+  /**
+   * @param posted 前回の試行で投稿済みのツイートID。スレッドはその続きから投稿する
+   */
+  publish(entry: HistoryEntry, posted?: string[]): Promise<PublishResult>;
+}
+
+/**
+ * スレッドの途中で失敗した場合のエラー。投稿済みのツイートIDを保持し、再試行時に続きから投稿できるようにする
+ */
+export class PartialPublishError extends Error {
+  readonly externalIds: string[];
+
+  constructor(externalIds: string[], cause: Error) {
+    super(`${cause.message} (${externalIds.length} tweet(s) already posted)`);
+    this.name = 'PartialPublishError';
+    this.externalIds = externalIds;
+  }
+}
+
+export const PUBLISH_ADAPTERS = ['file', 'x'] as const;
+
+export function createPublishAdapter(name: string = 'file'): PublishAdapter {
+  switch (name) {
+    case 'file':
+      return new FilePublishAdapter();
+    case 'x':
+      return new XApiPublishAdapter();
+    default:
+      throw new Error(`Unknown publish adapter: ${name} (expected one of ${PUBLISH_ADAPTERS.join(', ')})`);
+  }
+}
+
+export function tweetsOf(entry: HistoryEntry): string[] {
+  return entry.content.tweets ?? [entry.content.text];
+}
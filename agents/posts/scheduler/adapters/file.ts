@@ -0,0 +1,42 @@
+/**
+ * File Publish Adapter
+ *
+ * 実際には投稿せず、投稿内容を outbox/<postId>.json に書き出す。
+ */
+
+import { createHash } from 'crypto';
+import { promises as fs } from 'fs';
+import * as path from 'path';
+import type { HistoryEntry } from '../../history/store.js';
+import { tweetsOf, type PublishAdapter, type PublishResult } from './adapter.js';
+
+export const DEFAULT_OUTBOX_DIR = path.join('knowledge', 'history', 'outbox');
+
+export class FilePublishAdapter implements PublishAdapter {
+  readonly name = 'file';
+  readonly dir: string;
+
+  constructor(dir: string = DEFAULT_OUTBOX_DIR) {
+    this.dir = dir;
+  }
+
+  async publish(entry: HistoryEntry, posted: string[] = []): Promise<PublishResult> {
+    const tweets = tweetsOf(entry);
+    const externalIds = [
+      ...posted,
+      ...tweets
+        .slice(posted.length)
+        .map((tweet, i) => createHash('sha1').update(`${entry.id}:${posted.length + i}:${tweet}`).digest('hex').slice(0, 16)),
+    ];
+
+    await fs.mkdir(this.dir, { recursive: true });
+    const filePath = path.join(this.dir, `${entry.id}.json`);
+    await fs.writeFile(
+      filePath,
+      JSON.stringify({ postId: entry.id, publishedAt: new Date().toISOString(), tweets, externalIds }, null, 2) + '\n',
+      'utf-8'
+    );
+
+    return { externalIds, url: filePath };
+  }
+}
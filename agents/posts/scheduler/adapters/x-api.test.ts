@@ -0,0 +1,69 @@
+import assert from 'node:assert/strict';
+import { afterEach, describe, it } from 'node:test';
+import type { HistoryEntry } from '../../history/store.js';
+import { PartialPublishError } from './adapter.js';
+import { XApiPublishAdapter } from './x-api.js';
+
+const realFetch = globalThis.fetch;
+
+const thread = {
+  id: 'p1',
+  content: { text: 'a\n\nb\n\nc', tweets: ['1/3 a', '2/3 b', '3/3 c'] },
+} as HistoryEntry;
+
+/** failAt 回目の呼び出しだけ 429 を返す fetch。送信したリクエストボディを記録する */
+function fakeFetch(requests: any[], failAt?: number): typeof fetch {
+  return (async (_url: string, init: RequestInit) => {
+    const body = JSON.parse(String(init.body));
+    requests.push(body);
+    if (requests.length === failAt) {
+      return new Response(JSON.stringify({ errors: [{ message: 'Too Many Requests' }] }), { status: 429 });
+    }
+    return new Response(JSON.stringify({ data: { id: `t${requests.length}`, text: body.text } }), { status: 201 });
+  }) as typeof fetch;
+}
+
+describe('XApiPublishAdapter', () => {
+  afterEach(() => {
+    globalThis.fetch = realFetch;
+  });
+
+  it('chains thread tweets as replies', async () => {
+    const requests: any[] = [];
+    globalThis.fetch = fakeFetch(requests);
+    const result = await new XApiPublishAdapter({ accessToken: 'token', username: 'me' }).publish(thread);
+
+    assert.deepEqual(result.externalIds, ['t1', 't2', 't3']);
+    assert.equal(result.url, 'https://x.com/me/status/t1');
+    assert.equal(requests[0].reply, undefined);
+    assert.equal(requests[2].reply.in_reply_to_tweet_id, 't2');
+  });
+
+  it('reports the tweets already posted when a thread fails part-way', async () => {
+    globalThis.fetch = fakeFetch([], 2);
+    await assert.rejects(
+      new XApiPublishAdapter({ accessToken: 'token' }).publish(thread),
+      (error: unknown) => error instanceof PartialPublishError && error.externalIds.join() === 't1'
+    );
+  });
+
+  it('continues from the last posted tweet on retry', async () => {
+    const requests: any[] = [];
+    globalThis.fetch = fakeFetch(requests);
+    const result = await new XApiPublishAdapter({ accessToken: 'token' }).publish(thread, ['t0']);
+
+    assert.deepEqual(
+      requests.map((r) => r.text),
+      ['2/3 b', '3/3 c']
+    );
+    assert.equal(requests[0].reply.in_reply_to_tweet_id, 't0');
+    assert.deepEqual(result.externalIds, ['t0', 't1', 't2']);
+  });
+
+  it('fails without partial state when the first tweet fails', async () => {
+    globalThis.fetch = fakeFetch([], 1);
+    await assert.rejects(new XApiPublishAdapter({ accessToken: 'token' }).publish(thread), (error: unknown) => {
+      return !(error instanceof PartialPublishError) && /429/.test((error as Error).message);
+    });
+  });
+});
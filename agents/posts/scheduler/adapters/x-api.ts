@@ -0,0 +1,71 @@
+/**
+ * X API v2 Publish Adapter
+ *
+ * POST https://api.x.com/2/tweets で投稿する。スレッドは前のツイートへの返信として連結する。
+ * 途中で失敗した場合は投稿済みのIDを PartialPublishError で返し、再試行時はその続きから投稿する。
+ * OAuth 2.0 ユーザーコンテキストのアクセストークン (tweet.write スコープ) が必要。
+ */
+
+import type { HistoryEntry } from '../../history/store.js';
+import { PartialPublishError, tweetsOf, type PublishAdapter, type PublishResult } from './adapter.js';
+
+const ENDPOINT = 'https://api.x.com/2/tweets';
+
+export interface XApiPublishAdapterOptions {
+  accessToken?: string;
+  /** 投稿後の URL 生成に使うアカウント名 */
+  username?: string;
+}
+
+interface CreateTweetResponse {
+  data?: { id: string; text: string };
+  errors?: { message: string }[];
+}
+
+export class XApiPublishAdapter implements PublishAdapter {
+  readonly name = 'x';
+  private readonly accessToken: string | undefined;
+  private readonly username: string | undefined;
+
+  constructor(options: XApiPublishAdapterOptions = {}) {
+    this.accessToken = options.accessToken ?? process.env.X_ACCESS_TOKEN;
+    this.username = options.username ?? process.env.X_USERNAME;
+  }
+
+  async publish(entry: HistoryEntry, posted: string[] = []): Promise<PublishResult> {
+    if (!this.accessToken) {
+      throw new Error('X_ACCESS_TOKEN is not set. Use `--adapter file` for offline publishing.');
+    }
+
+    const externalIds = [...posted];
+    for (const text of tweetsOf(entry).slice(posted.length)) {
+      const previous = externalIds[externalIds.length - 1];
+      try {
+        externalIds.push(await this.createTweet(text, previous));
+      } catch (error: any) {
+        throw externalIds.length > 0 ? new PartialPublishError(externalIds, error) : error;
+      }
+    }
+
+    const url = `https://x.com/${this.username ?? 'i/web'}/status/${externalIds[0]}`;
+    return { externalIds, url };
+  }
+
+  private async createTweet(text: string, inReplyTo?: string): Promise<string> {
+    const response = await fetch(ENDPOINT, {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${this.accessToken}`,
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(inReplyTo ? { text, reply: { in_reply_to_tweet_id: inReplyTo } } : { text }),
+    });
+
+    const body = (await response.json().catch(() => ({}))) as CreateTweetResponse;
+    if (!response.ok || !body.data) {
+      const detail = body.errors?.map((e) => e.message).join('; ') ?? response.statusText;
+      throw new Error(`X API request failed: ${response.status} ${detail}`);
+    }
+    return body.data.id;
+  }
+}
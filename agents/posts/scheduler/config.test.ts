@@ -0,0 +1,66 @@
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { describe, it } from 'node:test';
+import { addDays, dateKey, loadScheduleConfig, localDate, zonedTime } from './config.js';
+
+describe('zonedTime', () => {
+  it('converts a Tokyo local time to UTC', () => {
+    assert.equal(zonedTime({ year: 2026, month: 1, day: 5 }, '12:00', 'Asia/Tokyo').toISOString(), '2026-01-05T03:00:00.000Z');
+  });
+
+  it('crosses the UTC date boundary for early-morning slots', () => {
+    assert.equal(zonedTime({ year: 2026, month: 1, day: 5 }, '07:00', 'Asia/Tokyo').toISOString(), '2026-01-04T22:00:00.000Z');
+  });
+
+  it('follows daylight saving time', () => {
+    const winter = zonedTime({ year: 2026, month: 1, day: 5 }, '12:00', 'America/New_York');
+    const summer = zonedTime({ year: 2026, month: 7, day: 6 }, '12:00', 'America/New_York');
+    assert.equal(winter.toISOString(), '2026-01-05T17:00:00.000Z');
+    assert.equal(summer.toISOString(), '2026-07-06T16:00:00.000Z');
+  });
+});
+
+describe('localDate', () => {
+  it('returns the local calendar date and weekday', () => {
+    // UTC では日曜だが、東京では月曜
+    assert.deepEqual(localDate(new Date('2026-01-04T15:30:00Z'), 'Asia/Tokyo'), {
+      year: 2026,
+      month: 1,
+      day: 5,
+      weekday: 1,
+    });
+  });
+});
+
+describe('addDays / dateKey', () => {
+  it('rolls over months and years', () => {
+    const next = addDays({ year: 2026, month: 12, day: 31, weekday: 4 }, 1);
+    assert.equal(dateKey(next), '2027-01-01');
+    assert.equal(next.weekday, 5);
+  });
+});
+
+describe('loadScheduleConfig', () => {
+  it('loads the repository schedule', async () => {
+    const config = await loadScheduleConfig();
+    assert.ok(config.profiles[config.defaultProfile]);
+  });
+
+  it('rejects malformed slots', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'schedule-'));
+    const file = path.join(dir, 'schedule.json');
+    await fs.writeFile(
+      file,
+      JSON.stringify({
+        timezone: 'Asia/Tokyo',
+        maxPostsPerDay: 2,
+        defaultProfile: 'general',
+        profiles: { general: { label: '一般', slots: ['25:00'], weekdaysOnly: false } },
+      })
+    );
+    await assert.rejects(loadScheduleConfig(file), /Invalid slot "25:00"/);
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+});
@@ -0,0 +1,109 @@
+/**
+ * 投稿スケジュール設定 (knowledge/schedule.json)
+ *
+ * 投稿時間帯はテンプレートに記載のピーク (平日12時台・21時台、
+ * ビジネスパーソン向け 朝7時/昼12時/夜21時 など) をプロファイルとして定義する。
+ */
+
+import { promises as fs } from 'fs';
+import * as path from 'path';
+
+export const DEFAULT_SCHEDULE_CONFIG = path.join('knowledge', 'schedule.json');
+
+export interface AudienceProfile {
+  label: string;
+  /** "HH:mm" (timezone のローカル時刻) */
+  slots: string[];
+  /** true の場合は土日を除く */
+  weekdaysOnly: boolean;
+}
+
+export interface ScheduleConfig {
+  timezone: string;
+  maxPostsPerDay: number;
+  defaultProfile: string;
+  profiles: Record<string, AudienceProfile>;
+}
+
+export async function loadScheduleConfig(filePath: string = DEFAULT_SCHEDULE_CONFIG): Promise<ScheduleConfig> {
+  const config = JSON.parse(await fs.readFile(filePath, 'utf-8')) as ScheduleConfig;
+
+  for (const [id, profile] of Object.entries(config.profiles)) {
+    for (const slot of profile.slots) {
+      if (!/^([01]\d|2[0-3]):[0-5]\d$/.test(slot)) {
+        throw new Error(`Invalid slot "${slot}" in profile ${id} (expected HH:mm)`);
+      }
+    }
+  }
+  if (!config.profiles[config.defaultProfile]) {
+    throw new Error(`defaultProfile "${config.defaultProfile}" is not defined in profiles`);
+  }
+
+  return config;
+}
+
+export interface LocalDate {
+  year: number;
+  month: number;
+  day: number;
+  /** 0 = 日曜 */
+  weekday: number;
+}
+
+/**
+ * UTC の時刻を timezone のローカル日付に変換する
+ */
+export function localDate(instant: Date, timezone: string): LocalDate {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    weekday: 'short',
+  }).formatToParts(instant);
+  const get = (type: string) => parts.find((p) => p.type === type)!.value;
+  return {
+    year: parseInt(get('year'), 10),
+    month: parseInt(get('month'), 10),
+    day: parseInt(get('day'), 10),
+    weekday: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(get('weekday')),
+  };
+}
+
+/**
+ * timezone のローカル日付 + "HH:mm" を UTC の Date に変換する
+ */
+export function zonedTime(date: Pick<LocalDate, 'year' | 'month' | 'day'>, time: string, timezone: string): Date {
+  const [hour, minute] = time.split(':').map((v) => parseInt(v, 10));
+  const guess = Date.UTC(date.year, date.month - 1, date.day, hour, minute);
+  return new Date(guess - offsetMinutes(new Date(guess), timezone) * 60_000);
+}
+
+export function addDays(date: LocalDate, days: number): LocalDate {
+  const next = new Date(Date.UTC(date.year, date.month - 1, date.day + days));
+  return {
+    year: next.getUTCFullYear(),
+    month: next.getUTCMonth() + 1,
+    day: next.getUTCDate(),
+    weekday: next.getUTCDay(),
+  };
+}
+
+export function dateKey(date: Pick<LocalDate, 'year' | 'month' | 'day'>): string {
+  return `${date.year}-${String(date.month).padStart(2, '0')}-${String(date.day).padStart(2, '0')}`;
+}
+
+function offsetMinutes(instant: Date, timezone: string): number {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+  }).formatToParts(instant);
+  const get = (type: string) => parseInt(parts.find((p) => p.type === type)!.value, 10);
+  const asUtc = Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'));
+  return Math.round((asUtc - instant.getTime()) / 60_000);
+}
@@ -0,0 +1,77 @@
+/**
+ * 投稿キュー (knowledge/history/publish-queue.json)
+ */
+
+import { promises as fs } from 'fs';
+import * as path from 'path';
+
+export const DEFAULT_QUEUE_PATH = path.join('knowledge', 'history', 'publish-queue.json');
+
+export type QueueStatus = 'queued' | 'published' | 'failed';
+
+export interface QueueItem {
+  postId: string;
+  /** 投稿予定時刻 (UTC, ISO8601) */
+  slot: string;
+  profile: string;
+  category: string;
+  status: QueueStatus;
+  attempts: number;
+  publishedAt?: string;
+  /** 投稿済みのツイートID (スレッドが途中で失敗した場合は投稿できた分まで) */
+  externalIds?: string[];
+  url?: string;
+  error?: string;
+}
+
+export class PublishQueue {
+  readonly filePath: string;
+  private items: QueueItem[] = [];
+
+  constructor(filePath: string = DEFAULT_QUEUE_PATH) {
+    this.filePath = filePath;
+  }
+
+  async load(): Promise<QueueItem[]> {
+    try {
+      this.items = JSON.parse(await fs.readFile(this.filePath, 'utf-8')).items;
+    } catch (error: any) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+      this.items = [];
+    }
+    return this.all();
+  }
+
+  async save(): Promise<void> {
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    const items = [...this.items].sort((a, b) => a.slot.localeCompare(b.slot));
+    await fs.writeFile(this.filePath, JSON.stringify({ items }, null, 2) + '\n', 'utf-8');
+  }
+
+  all(): QueueItem[] {
+    return [...this.items].sort((a, b) => a.slot.localeCompare(b.slot));
+  }
+
+  find(postId: string): QueueItem | undefined {
+    return this.items.find((item) => item.postId === postId);
+  }
+
+  add(item: QueueItem): void {
+    if (this.find(item.postId)) {
+      throw new Error(`Post ${item.postId} is already queued`);
+    }
+    this.items.push(item);
+  }
+
+  remove(postId: string): boolean {
+    const before = this.items.length;
+    this.items = this.items.filter((item) => item.postId !== postId);
+    return this.items.length < before;
+  }
+
+  due(now: Date): QueueItem[] {
+    return this.all().filter((item) => item.status === 'queued' && new Date(item.slot) <= now);
+  }
+}
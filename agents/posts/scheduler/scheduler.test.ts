@@ -0,0 +1,199 @@
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { afterEach, beforeEach, describe, it } from 'node:test';
+import type { KnowledgeCategory } from '../../knowledge/types.js';
+import { HistoryStore, type HistoryEntry } from '../history/store.js';
+import { PartialPublishError, type PublishAdapter } from './adapters/adapter.js';
+import type { ScheduleConfig } from './config.js';
+import { PublishQueue } from './queue.js';
+import { PostScheduler, spreadByCategory } from './scheduler.js';
+
+const CONFIG: ScheduleConfig = {
+  timezone: 'Asia/Tokyo',
+  maxPostsPerDay: 2,
+  defaultProfile: 'general',
+  profiles: {
+    general: { label: '一般', slots: ['21:00', '12:00'], weekdaysOnly: true },
+    business: { label: 'ビジネス', slots: ['07:00', '12:00', '21:00'], weekdaysOnly: false },
+  },
+};
+
+// 2026-01-02 (金) 09:00 JST
+const FRIDAY_MORNING = new Date('2026-01-02T00:00:00Z');
+
+function entry(id: string, category: KnowledgeCategory, tweets?: string[]): HistoryEntry {
+  const text = tweets ? tweets.join('\n\n') : `${id} の本文`;
+  return {
+    id,
+    createdAt: `2026-01-01T00:00:0${id.slice(-1)}.000Z`,
+    topic: id,
+    category,
+    format: tweets ? 'thread' : 'single',
+    style: 'professional',
+    provider: { name: 'mock', model: 'mock' },
+    retrieval: 'keyword',
+    content: { text, tweets },
+    sources: [],
+    usage: { inputTokens: 0, outputTokens: 0 },
+    status: 'approved',
+    contentHash: id,
+    updatedAt: '2026-01-01T00:00:00.000Z',
+  };
+}
+
+describe('PostScheduler', () => {
+  let dir: string;
+  let history: HistoryStore;
+  let queue: PublishQueue;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'scheduler-'));
+    history = new HistoryStore(path.join(dir, 'generated-posts'));
+    queue = new PublishQueue(path.join(dir, 'publish-queue.json'));
+    await fs.mkdir(history.dir, { recursive: true });
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  async function approve(...entries: HistoryEntry[]) {
+    for (const e of entries) {
+      await fs.writeFile(path.join(history.dir, `${e.id}.json`), JSON.stringify(e));
+    }
+  }
+
+  it('fills profile slots in local time, skipping weekends', async () => {
+    await approve(...['p1', 'p2', 'p3', 'p4', 'p5'].map((id) => entry(id, 'marketing')));
+    const { scheduled, unscheduled } = await new PostScheduler(CONFIG, queue, history).plan({ from: FRIDAY_MORNING });
+
+    assert.deepEqual(
+      scheduled.map((item) => item.slot),
+      [
+        '2026-01-02T03:00:00.000Z', // 金 12:00
+        '2026-01-02T12:00:00.000Z', // 金 21:00
+        '2026-01-05T03:00:00.000Z', // 月 12:00
+        '2026-01-05T12:00:00.000Z', // 月 21:00
+        '2026-01-06T03:00:00.000Z', // 火 12:00
+      ]
+    );
+    assert.deepEqual(unscheduled, []);
+    assert.equal((await history.get(scheduled[0].postId)).scheduledAt, scheduled[0].slot);
+  });
+
+  it('clears scheduledAt in the history when a post is unscheduled', async () => {
+    await approve(entry('p1', 'marketing'));
+    const scheduler = new PostScheduler(CONFIG, queue, history);
+    await scheduler.plan({ from: FRIDAY_MORNING });
+
+    assert.equal(await scheduler.unschedule('p1'), true);
+    assert.equal(queue.find('p1'), undefined);
+    assert.equal((await history.get('p1')).scheduledAt, undefined);
+  });
+
+  it('skips slots that are already past', async () => {
+    await approve(entry('p1', 'marketing'));
+    // 金 13:00 JST → 当日の 12:00 枠は使わない
+    const { scheduled } = await new PostScheduler(CONFIG, queue, history).plan({ from: new Date('2026-01-02T04:00:00Z') });
+    assert.equal(scheduled[0].slot, '2026-01-02T12:00:00.000Z');
+  });
+
+  it('counts already queued posts toward maxPostsPerDay', async () => {
+    const scheduler = new PostScheduler({ ...CONFIG, maxPostsPerDay: 1 }, queue, history);
+    await approve(entry('p1', 'marketing'));
+    await scheduler.plan({ from: FRIDAY_MORNING, profile: 'business' });
+    await approve(entry('p2', 'analytics'), entry('p3', 'trends'));
+    const { scheduled } = await scheduler.plan({ from: FRIDAY_MORNING, profile: 'business' });
+
+    // 金は p1 で埋まっているので 土・日 の朝7時 (前日 22:00 UTC) に1件ずつ
+    assert.deepEqual(
+      scheduled.map((item) => item.slot),
+      ['2026-01-02T22:00:00.000Z', '2026-01-03T22:00:00.000Z']
+    );
+  });
+
+  it('reports posts that do not fit in the window', async () => {
+    await approve(...['p1', 'p2', 'p3'].map((id) => entry(id, 'marketing')));
+    const { scheduled, unscheduled } = await new PostScheduler(CONFIG, queue, history).plan({
+      from: FRIDAY_MORNING,
+      days: 1,
+    });
+    assert.equal(scheduled.length, 2);
+    assert.deepEqual(
+      unscheduled.map((e) => e.id),
+      ['p3']
+    );
+  });
+
+  it('resumes a partially published thread instead of reposting it', async () => {
+    await approve(entry('p1', 'marketing', ['1/3 a', '2/3 b', '3/3 c']));
+    const scheduler = new PostScheduler(CONFIG, queue, history);
+    await scheduler.plan({ from: FRIDAY_MORNING });
+
+    const posted: string[] = [];
+    let failOnce = true;
+    const adapter: PublishAdapter = {
+      name: 'fake',
+      async publish(post, already = []) {
+        const ids = [...already];
+        for (const text of post.content.tweets!.slice(already.length)) {
+          if (ids.length === 1 && failOnce) {
+            failOnce = false;
+            throw new PartialPublishError(ids, new Error('rate limited'));
+          }
+          posted.push(text);
+          ids.push(`id${ids.length + 1}`);
+        }
+        return { externalIds: ids };
+      },
+    };
+
+    const now = new Date('2026-01-02T03:00:00Z');
+    const [first] = await scheduler.publishDue(adapter, now);
+    assert.equal(first.ok, false);
+    assert.deepEqual(first.item.externalIds, ['id1']);
+
+    const [second] = await scheduler.publishDue(adapter, now);
+    assert.equal(second.ok, true);
+    assert.deepEqual(second.item.externalIds, ['id1', 'id2', 'id3']);
+    assert.deepEqual(posted, ['1/3 a', '2/3 b', '3/3 c']);
+    assert.equal((await history.get('p1')).status, 'posted');
+  });
+
+  it('gives up after three failed attempts', async () => {
+    await approve(entry('p1', 'marketing'));
+    const scheduler = new PostScheduler(CONFIG, queue, history);
+    await scheduler.plan({ from: FRIDAY_MORNING });
+    const failing: PublishAdapter = {
+      name: 'fake',
+      async publish() {
+        throw new Error('down');
+      },
+    };
+
+    const now = new Date('2026-01-03T00:00:00Z');
+    for (let i = 0; i < 3; i++) {
+      await scheduler.publishDue(failing, now);
+    }
+    assert.equal(queue.find('p1')?.status, 'failed');
+    assert.deepEqual(await scheduler.publishDue(failing, now), []);
+  });
+});
+
+describe('spreadByCategory', () => {
+  it('avoids the same category twice in a row when possible', () => {
+    const entries = [
+      entry('m1', 'marketing'),
+      entry('m2', 'marketing'),
+      entry('m3', 'marketing'),
+      entry('a1', 'analytics'),
+      entry('a2', 'analytics'),
+    ];
+    assert.deepEqual(
+      spreadByCategory(entries).map((e) => e.category),
+      ['marketing', 'analytics', 'marketing', 'analytics', 'marketing']
+    );
+  });
+});
@@ -0,0 +1,190 @@
+/**
+ * Post Scheduler
+ *
+ * 承認済み (approved) の履歴をオーディエンスプロファイルの時間帯に割り当て、
+ * 投稿キューに積む。期限が来たキューはアダプタ経由で投稿する。
+ * - 1日あたりの上限 (maxPostsPerDay) を既存のキューも含めて守る
+ * - 同じカテゴリが続かないよう、残りが多いカテゴリから交互に割り当てる
+ * - スレッドが途中で失敗した場合は投稿済みのIDをキューに残し、再試行時は続きから投稿する
+ */
+
+import { HistoryStore, type HistoryEntry } from '../history/store.js';
+import { PartialPublishError, type PublishAdapter } from './adapters/adapter.js';
+import { addDays, dateKey, localDate, zonedTime, type ScheduleConfig } from './config.js';
+import { PublishQueue, type QueueItem } from './queue.js';
+
+const MAX_ATTEMPTS = 3;
+
+export interface PlanOptions {
+  /** プロファイルID (既定: config.defaultProfile) */
+  profile?: string;
+  /** この時刻より後の枠に割り当てる (既定: 現在時刻) */
+  from?: Date;
+  /** 何日先まで枠を探すか (既定: 14) */
+  days?: number;
+}
+
+export interface PlanResult {
+  scheduled: QueueItem[];
+  /** 枠が足りず割り当てられなかった投稿 */
+  unscheduled: HistoryEntry[];
+}
+
+export interface PublishOutcome {
+  item: QueueItem;
+  ok: boolean;
+}
+
+export class PostScheduler {
+  private readonly config: ScheduleConfig;
+  private readonly queue: PublishQueue;
+  private readonly history: HistoryStore;
+
+  constructor(config: ScheduleConfig, queue: PublishQueue = new PublishQueue(), history: HistoryStore = new HistoryStore()) {
+    this.config = config;
+    this.queue = queue;
+    this.history = history;
+  }
+
+  async plan(options: PlanOptions = {}): Promise<PlanResult> {
+    const profileId = options.profile ?? this.config.defaultProfile;
+    if (!this.config.profiles[profileId]) {
+      throw new Error(
+        `Unknown audience profile: ${profileId} (available: ${Object.keys(this.config.profiles).join(', ')})`
+      );
+    }
+
+    await this.queue.load();
+    const approved = (await this.history.list({ status: 'approved' })).filter((entry) => !this.queue.find(entry.id));
+    const ordered = spreadByCategory(approved);
+    const slots = this.freeSlots(profileId, options.from ?? new Date(), options.days ?? 14);
+
+    const scheduled: QueueItem[] = [];
+    for (const [entry, slot] of ordered.slice(0, slots.length).map((e, i) => [e, slots[i]] as const)) {
+      const item: QueueItem = {
+        postId: entry.id,
+        slot: slot.toISOString(),
+        profile: profileId,
+        category: entry.category,
+        status: 'queued',
+        attempts: 0,
+      };
+      this.queue.add(item);
+      await this.history.update(entry.id, { scheduledAt: item.slot });
+      scheduled.push(item);
+    }
+
+    await this.queue.save();
+    return { scheduled, unscheduled: ordered.slice(slots.length) };
+  }
+
+  async unschedule(postId: string): Promise<boolean> {
+    await this.queue.load();
+    const removed = this.queue.remove(postId);
+    if (removed) {
+      await this.queue.save();
+      await this.history.update(postId, { scheduledAt: undefined });
+    }
+    return removed;
+  }
+
+  async publishDue(adapter: PublishAdapter, now: Date = new Date()): Promise<PublishOutcome[]> {
+    await this.queue.load();
+    const outcomes: PublishOutcome[] = [];
+
+    for (const item of this.queue.due(now)) {
+      item.attempts++;
+      try {
+        const entry = await this.history.get(item.postId);
+        if (entry.status !== 'approved') {
+          throw new Error(`Post ${entry.id} is ${entry.status}, not approved`);
+        }
+
+        const result = await adapter.publish(entry, item.externalIds ?? []);
+        item.status = 'published';
+        item.publishedAt = new Date().toISOString();
+        item.externalIds = result.externalIds;
+        item.url = result.url;
+        delete item.error;
+        await this.history.update(entry.id, { status: 'posted', postedAt: item.publishedAt });
+        outcomes.push({ item, ok: true });
+      } catch (error: any) {
+        item.error = error.message;
+        if (error instanceof PartialPublishError) {
+          // 投稿済みのツイートは次回の再試行で繰り返さない
+          item.externalIds = error.externalIds;
+        }
+        if (item.attempts >= MAX_ATTEMPTS) {
+          item.status = 'failed';
+        }
+        outcomes.push({ item, ok: false });
+      }
+    }
+
+    await this.queue.save();
+    return outcomes;
+  }
+
+  /**
+   * from 以降の空き枠を時刻順に返す。既存キューで埋まった枠と1日の上限を除く。
+   */
+  private freeSlots(profileId: string, from: Date, days: number): Date[] {
+    const { timezone, maxPostsPerDay } = this.config;
+    const profile = this.config.profiles[profileId];
+    const active = this.queue.all().filter((item) => item.status !== 'failed');
+    const taken = new Set(active.map((item) => new Date(item.slot).getTime()));
+    const perDay = new Map<string, number>();
+    for (const item of active) {
+      const key = dateKey(localDate(new Date(item.slot), timezone));
+      perDay.set(key, (perDay.get(key) ?? 0) + 1);
+    }
+
+    const slots: Date[] = [];
+    const start = localDate(from, timezone);
+
+    for (let offset = 0; offset < days; offset++) {
+      const day = addDays(start, offset);
+      if (profile.weekdaysOnly && (day.weekday === 0 || day.weekday === 6)) {
+        continue;
+      }
+
+      let used = perDay.get(dateKey(day)) ?? 0;
+      for (const time of [...profile.slots].sort()) {
+        if (used >= maxPostsPerDay) {
+          break;
+        }
+        const slot = zonedTime(day, time, timezone);
+        if (slot > from && !taken.has(slot.getTime())) {
+          slots.push(slot);
+          used++;
+        }
+      }
+    }
+
+    return slots;
+  }
+}
+
+/**
+ * 残りが最も多いカテゴリから順に取り出し、直前と同じカテゴリは可能な限り避ける
+ */
+export function spreadByCategory(entries: HistoryEntry[]): HistoryEntry[] {
+  const groups = new Map<string, HistoryEntry[]>();
+  for (const entry of [...entries].sort((a, b) => a.createdAt.localeCompare(b.createdAt))) {
+    groups.set(entry.category, [...(groups.get(entry.category) ?? []), entry]);
+  }
+
+  const ordered: HistoryEntry[] = [];
+  let previous: string | undefined;
+
+  while (ordered.length < entries.length) {
+    const candidates = [...groups.entries()]
+      .filter(([, queue]) => queue.length > 0)
+      .sort((a, b) => b[1].length - a[1].length || a[0].localeCompare(b[0]));
+    const [category, queue] = candidates.find(([c]) => c !== previous) ?? candidates[0];
+    ordered.push(queue.shift()!);
+    previous = category;
+  }
+
+  return ordered;
+}
@@ -0,0 +1,108 @@
+import assert from 'node:assert/strict';
+import { before, describe, it } from 'node:test';
+import { parseFormatTemplate, parseStyleTemplate, TemplateLibrary, type FormatSpec, type StyleSpec } from './templates.js';
+
+describe('parseFormatTemplate', () => {
+  let single: FormatSpec;
+  let thread: FormatSpec;
+
+  before(async () => {
+    const templates = new TemplateLibrary();
+    single = await templates.loadFormat('single');
+    thread = await templates.loadFormat('thread');
+  });
+
+  it('reads the single post constraints', () => {
+    assert.equal(single.title, '単独投稿テンプレート');
+    assert.equal(single.description, '単一のツイートで完結する投稿フォーマット。');
+    assert.deepEqual(single.constraints.characters, { min: 140, max: 280 });
+    assert.deepEqual(single.constraints.hashtags, { min: 2, max: 3, placement: 'end' });
+    assert.deepEqual(single.constraints.links, { min: 0, max: 1 });
+    assert.equal(single.constraints.tweets, undefined);
+  });
+
+  it('reads the single post patterns with their structure and example', () => {
+    assert.deepEqual(
+      single.patterns.map((p) => p.name),
+      ['問題提起型', 'Tips型', '気づき共有型']
+    );
+    assert.match(single.patterns[1].structure, /^【〇〇のコツ】/);
+    assert.match(single.patterns[1].example!, /^【Xフォロワーを増やす3つの基本】/);
+    assert.deepEqual(single.structure, []);
+    assert.equal(single.checklist.length, 5);
+  });
+
+  it('reads the thread ranges, hashtag placement and numbering', () => {
+    assert.deepEqual(thread.constraints.characters, { min: 140, max: 280 });
+    assert.deepEqual(thread.constraints.tweets, { min: 3, max: 10, recommended: { min: 5, max: 7 } });
+    assert.deepEqual(thread.constraints.hashtags, { min: 2, max: 3, placement: 'last-tweet' });
+    assert.equal(thread.constraints.links, undefined);
+    assert.equal(thread.constraints.numbering, '1/5');
+  });
+
+  it('reads the thread structure, hook patterns and examples', () => {
+    assert.deepEqual(thread.patterns, []);
+    assert.deepEqual(
+      thread.structure.map((part) => [part.name, part.position]),
+      [
+        ['フック', '1ツイート目'],
+        ['本論', '2-N-1ツイート目'],
+        ['まとめ', '最終ツイート'],
+      ]
+    );
+    assert.deepEqual(thread.structure[1].guidelines, ['1ツイート1トピック', '具体例・数字を含める', '読者が次を読みたくなる構成に']);
+    assert.equal(thread.hooks.length, 4);
+    assert.equal(thread.hooks[0], '〇〇について、多くの人が誤解していることがあります');
+    assert.equal(thread.examples.length, 5);
+    assert.ok(thread.examples[0].startsWith('🧵 1/5'));
+  });
+
+  it('parses an inline template without optional sections', () => {
+    const spec = parseFormatTemplate('short', '# 短文\n\n短い投稿。\n\n## 制約\n\n- 文字数: 10〜50文字\n- ハッシュタグ: 0-1個\n');
+    assert.deepEqual(spec.constraints.characters, { min: 10, max: 50 });
+    assert.deepEqual(spec.constraints.hashtags, { min: 0, max: 1, placement: 'any' });
+    assert.deepEqual(spec.patterns, []);
+    assert.deepEqual(spec.hooks, []);
+  });
+});
+
+describe('parseStyleTemplate', () => {
+  let style: StyleSpec;
+
+  before(async () => {
+    style = await new TemplateLibrary().loadStyle('professional');
+  });
+
+  it('reads the emoji range, whitelist and discouraged list', () => {
+    assert.deepEqual(style.emoji.range, { min: 0, max: 2 });
+    assert.deepEqual(style.emoji.allowed, ['✅', '❌', '📊', '📈', '💡', '🎯', '✨']);
+    assert.deepEqual(style.emoji.discouraged, ['😂', '🤣', '💀']);
+  });
+
+  it('reads the avoid rules with their quoted phrase and reason', () => {
+    assert.deepEqual(
+      style.avoid.map((rule) => [rule.phrase, rule.reason]),
+      [
+        ['絶対に〜', '断定しすぎ'],
+        ['〜だと思います', '曖昧すぎ'],
+        [undefined, undefined],
+        [undefined, undefined],
+      ]
+    );
+    assert.equal(style.avoid[2].text, 'スラング・ネットミーム');
+  });
+
+  it('reads the tone, recommended phrases and example', () => {
+    assert.equal(style.title, 'プロフェッショナルスタイル');
+    assert.equal(style.tone[0], '「です・ます」調');
+    assert.equal(style.recommended.length, 5);
+    assert.equal(style.recommended[0], '〜という調査結果があります');
+    assert.match(style.example!, /^【X運用の重要指標】/);
+    assert.equal(style.checklist.length, 5);
+  });
+
+  it('rejects unknown template IDs with the available ones', async () => {
+    await assert.rejects(new TemplateLibrary().loadStyle('casual'), /Unknown style template: casual \(available: professional\)/);
+    assert.deepEqual(parseStyleTemplate('empty', '# 空\n').avoid, []);
+  });
+});
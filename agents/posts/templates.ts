@@ -0,0 +1,248 @@
+/**
+ * 投稿テンプレートローダ
+ *
+ * knowledge/templates/formats/*.md と styles/*.md を構造化された仕様に変換する。
+ * テンプレートの文章を唯一の定義とし、制約値やパターンはここで読み取る。
+ */
+
+import { promises as fs } from 'fs';
+import * as path from 'path';
+import {
+  findSection,
+  flattenItems,
+  parseMarkdown,
+  parseRange,
+  unquote,
+  type ListItem,
+} from './markdown.js';
+
+export interface Range {
+  min: number;
+  max: number;
+}
+
+export interface FormatConstraints {
+  /** 「制約」セクションの箇条書き (キー: 値) */
+  raw: Record<string, string>;
+  /** 1ツイートあたりの文字数 */
+  characters?: Range;
+  tweets?: Range & { recommended?: Range };
+  hashtags?: Range & { placement: 'end' | 'last-tweet' | 'any' };
+  links?: Range;
+  /** 番号付けの例 (例: "1/5") */
+  numbering?: string;
+}
+
+export interface PostPattern {
+  name: string;
+  structure: string;
+  example?: string;
+}
+
+export interface StructurePart {
+  name: string;
+  /** 対象ツイート (例: "1ツイート目") */
+  position?: string;
+  guidelines: string[];
+}
+
+export interface FormatSpec {
+  id: string;
+  title: string;
+  description: string;
+  constraints: FormatConstraints;
+  patterns: PostPattern[];
+  structure: StructurePart[];
+  hooks: string[];
+  examples: string[];
+  checklist: string[];
+}
+
+export interface AvoidRule {
+  text: string;
+  /** 「」で引用された表現 (例: "絶対に〜") */
+  phrase?: string;
+  reason?: string;
+}
+
+export interface StyleSpec {
+  id: string;
+  title: string;
+  description: string;
+  features: string[];
+  tone: string[];
+  recommended: string[];
+  avoid: AvoidRule[];
+  emoji: {
+    range?: Range;
+    allowed: string[];
+    discouraged: string[];
+  };
+  example?: string;
+  checklist: string[];
+}
+
+export const DEFAULT_TEMPLATES_DIR = path.join('knowledge', 'templates');
+
+export class TemplateLibrary {
+  readonly rootDir: string;
+
+  constructor(rootDir: string = DEFAULT_TEMPLATES_DIR) {
+    this.rootDir = rootDir;
+  }
+
+  async listFormats(): Promise<string[]> {
+    return this.list('formats');
+  }
+
+  async listStyles(): Promise<string[]> {
+    return this.list('styles');
+  }
+
+  async loadFormat(id: string): Promise<FormatSpec> {
+    return parseFormatTemplate(id, await this.read('formats', id));
+  }
+
+  async loadStyle(id: string): Promise<StyleSpec> {
+    return parseStyleTemplate(id, await this.read('styles', id));
+  }
+
+  private async list(kind: 'formats' | 'styles'): Promise<string[]> {
+    const entries = await fs.readdir(path.join(this.rootDir, kind));
+    return entries.filter((e) => e.endsWith('.md')).map((e) => path.basename(e, '.md')).sort();
+  }
+
+  private async read(kind: 'formats' | 'styles', id: string): Promise<string> {
+    const filePath = path.join(this.rootDir, kind, `${id}.md`);
+    try {
+      return await fs.readFile(filePath, 'utf-8');
+    } catch (error: any) {
+      if (error.code === 'ENOENT') {
+        const available = await this.list(kind);
+        throw new Error(`Unknown ${kind.slice(0, -1)} template: ${id} (available: ${available.join(', ')})`);
+      }
+      throw error;
+    }
+  }
+}
+
+export function parseFormatTemplate(id: string, source: string): FormatSpec {
+  const doc = parseMarkdown(source);
+  const top = doc.children[0] ?? doc;
+
+  const constraintSection = findSection(top, '制約');
+  const raw = toKeyValues(constraintSection?.items ?? []);
+
+  const patternSection = findSection(top, '構成パターン');
+  const patterns: PostPattern[] = (patternSection?.children ?? []).map((section) => ({
+    name: section.heading.replace(/^パターン\d+\s*[:：]\s*/, ''),
+    structure: section.codeBlocks[0] ?? '',
+    example: section.codeBlocks[1],
+  }));
+
+  const structureSection = patternSection ? undefined : findSection(top, '構成');
+  const structure: StructurePart[] = (structureSection?.children ?? []).map((section) => {
+    const heading = section.heading.replace(/^\d+\.\s*/, '');
+    const position = heading.match(/（(.+?)）/);
+    return {
+      name: heading.replace(/（.+?）/, '').trim(),
+      position: position?.[1],
+      guidelines: flattenItems(section.items),
+    };
+  });
+
+  const hookSection = structureSection?.children.find((s) => s.heading.includes('フック'));
+  const hooks = (hookSection?.items ?? []).filter((item) => item.text.includes('「')).map((item) => unquote(item.text));
+
+  return {
+    id,
+    title: top.heading,
+    description: top.paragraphs[0] ?? '',
+    constraints: {
+      raw,
+      characters: parseRange(raw['文字数'] ?? raw['各ツイート'] ?? ''),
+      tweets: parseTweetRange(raw['ツイート数']),
+      hashtags: parseHashtags(raw['ハッシュタグ']),
+      links: raw['リンク'] ? parseRange(raw['リンク']) ?? { min: 0, max: 1 } : undefined,
+      numbering: raw['番号付け']?.match(/「(\d+\/\d+)」/)?.[1],
+    },
+    patterns,
+    structure,
+    hooks,
+    examples: findSection(top, 'テンプレート例')?.codeBlocks ?? [],
+    checklist: flattenItems(findSection(top, 'チェックリスト')?.items ?? []),
+  };
+}
+
+export function parseStyleTemplate(id: string, source: string): StyleSpec {
+  const doc = parseMarkdown(source);
+  const top = doc.children[0] ?? doc;
+  const items = (keyword: string) => flattenItems(findSection(top, keyword)?.items ?? []);
+
+  const emojiSection = findSection(top, '絵文字');
+  const emojiItems = emojiSection?.items ?? [];
+  const rangeItem = emojiItems.find((item) => parseRange(item.text));
+  const allowedItem = emojiItems.find((item) => !item.text.includes('避ける') && item.children.length > 0);
+  const discouragedItem = emojiItems.find((item) => item.text.includes('避ける') && item.children.length > 0);
+
+  return {
+    id,
+    title: top.heading,
+    description: top.paragraphs[0] ?? '',
+    features: items('特徴'),
+    tone: items('トーン'),
+    recommended: items('推奨').map(unquote),
+    avoid: items('避ける').map(parseAvoidRule),
+    emoji: {
+      range: rangeItem ? parseRange(rangeItem.text) : undefined,
+      allowed: allowedItem ? extractEmoji(allowedItem.children) : [],
+      discouraged: discouragedItem ? extractEmoji(discouragedItem.children) : [],
+    },
+    example: findSection(top, '構成例')?.codeBlocks[0],
+    checklist: items('チェックリスト'),
+  };
+}
+
+function toKeyValues(items: ListItem[]): Record<string, string> {
+  const result: Record<string, string> = {};
+  for (const item of items) {
+    const match = item.text.match(/^(.+?)\s*[:：]\s*(.+)$/);
+    if (match) {
+      result[match[1]] = match[2];
+    }
+  }
+  return result;
+}
+
+function parseTweetRange(text: string | undefined): FormatConstraints['tweets'] {
+  if (!text) {
+    return undefined;
+  }
+  const [main, note] = text.split(/[（(]/);
+  const range = parseRange(main);
+  if (!range) {
+    return undefined;
+  }
+  return { ...range, recommended: note && note.includes('推奨') ? parseRange(note) : undefined };
+}
+
+function parseHashtags(text: string | undefined): FormatConstraints['hashtags'] {
+  const range = text ? parseRange(text) : undefined;
+  if (!text || !range) {
+    return undefined;
+  }
+  const placement = text.includes('最終ツイート') ? 'last-tweet' : text.includes('末尾') ? 'end' : 'any';
+  return { ...range, placement };
+}
+
+function parseAvoidRule(text: string): AvoidRule {
+  const reason = text.match(/[（(](.+?)[）)]\s*$/)?.[1];
+  const phrase = text.match(/「(.+?)」/)?.[1];
+  return { text, phrase, reason };
+}
+
+function extractEmoji(items: ListItem[]): string[] {
+  return flattenItems(items)
+    .flatMap((text) => text.split(/\s+/))
+    .filter((token) => /\p{Extended_Pictographic}/u.test(token));
+}
@@ -0,0 +1,102 @@
+import assert from 'node:assert/strict';
+import { before, describe, it } from 'node:test';
+import { PostLinter } from '../lint/linter.js';
+import { weightedLength } from '../lint/weighted-length.js';
+import { TemplateLibrary, type FormatSpec } from '../templates.js';
+import { ThreadComposer, threadToTweets } from './composer.js';
+
+const SECTION =
+  '投稿の反応は、時間帯・冒頭の一文・具体的な数字の3つでほぼ決まります。' +
+  '特に冒頭の一文は、タイムラインで指を止めてもらえるかどうかを左右します。' +
+  '数字を入れると信頼感が増し、保存やリポストにつながりやすくなります。';
+
+const ARTICLE = [
+  '# エンゲージメント率',
+  `## 投稿時間\n\n${SECTION}`,
+  `## 冒頭の一文\n\n${SECTION}`,
+  `## 数字の使い方\n\n${SECTION}`,
+].join('\n\n');
+
+describe('ThreadComposer', () => {
+  let format: FormatSpec;
+  let linter: PostLinter;
+
+  before(async () => {
+    const templates = new TemplateLibrary();
+    format = await templates.loadFormat('thread');
+    linter = await PostLinter.load('thread', 'professional', templates);
+  });
+
+  it('numbers the tweets and puts the section heading next to the number', () => {
+    const thread = new ThreadComposer(format).compose(ARTICLE);
+    assert.equal(thread.total, 5);
+    assert.ok(thread.tweets[0].text.startsWith('🧵 1/5\n'));
+    assert.ok(thread.tweets[1].text.startsWith('2/5 【投稿時間】'));
+    assert.deepEqual(
+      thread.tweets.map((t) => t.role),
+      ['hook', 'body', 'body', 'body', 'summary']
+    );
+  });
+
+  it('builds a default hook long enough for the format when the article has no intro', () => {
+    const thread = new ThreadComposer(format).compose(ARTICLE);
+    const hook = thread.tweets[0].text;
+    assert.ok(weightedLength(hook) >= format.constraints.characters!.min, `${weightedLength(hook)}: ${hook}`);
+    assert.match(hook, /エンゲージメント率/);
+    assert.match(hook, /・冒頭の一文/);
+  });
+
+  it('produces a thread that passes the thread format and professional style checks', () => {
+    const thread = new ThreadComposer(format, { hashtags: ['SNSマーケティング', '#X運用'] }).compose(ARTICLE);
+    const report = linter.lint(threadToTweets(thread));
+    assert.deepEqual(
+      report.results.filter((r) => !r.passed),
+      []
+    );
+  });
+
+  it('ends with the summary, CTA and hashtags', () => {
+    const thread = new ThreadComposer(format, { hashtags: ['SNSマーケティング'], cta: '保存して見返してください' }).compose(
+      ARTICLE
+    );
+    const last = thread.tweets[thread.total - 1].text;
+    assert.match(last, /【まとめ】/);
+    assert.match(last, /1\. 投稿時間/);
+    assert.match(last, /保存して見返してください/);
+    assert.ok(last.endsWith('#SNSマーケティング'));
+  });
+
+  it('splits a long section while keeping every tweet within 280 weighted chars', () => {
+    const article = `# 長い記事\n\n導入です。\n\n## 詳細\n\n${SECTION.repeat(4)}`;
+    const thread = new ThreadComposer(format).compose(article);
+    assert.ok(thread.tweets.filter((t) => t.heading === '詳細').length > 1);
+    assert.ok(thread.tweets.every((t) => weightedLength(t.text) <= 280));
+  });
+
+  it('rejects articles that need more tweets than the format allows', () => {
+    const sections = Array.from({ length: 12 }, (_, i) => `## 項目${i + 1}\n\n${SECTION}`);
+    assert.throws(() => new ThreadComposer(format).compose(['# 多すぎる記事', ...sections].join('\n\n')), /at most 10/);
+  });
+
+  it('uses one tweet per source and caps the sources at the tweet limit', () => {
+    const sources = Array.from({ length: 15 }, (_, i) => ({ title: `資料${i}`, text: `${i}番目の資料。${SECTION}` }));
+    const thread = new ThreadComposer(format).composeFromSources('投稿のコツ', sources);
+    assert.equal(thread.total, format.constraints.tweets!.max);
+    assert.ok(thread.tweets.every((t) => weightedLength(t.text) <= 280));
+  });
+
+  it('keeps sources longer than one tweet to a single tweet each', () => {
+    // 検索チャンクの既定 (500文字) 程度の長さで、1ツイートを超える文を含む資料
+    const chunk = SECTION.replace(/。/g, '、').repeat(4).slice(0, 500);
+    for (const count of [5, 8]) {
+      const sources = Array.from({ length: count }, (_, i) => ({ title: `資料${i}`, text: `${i}: ${chunk}` }));
+      const thread = new ThreadComposer(format).composeFromSources('投稿のコツ', sources);
+      assert.equal(thread.total, count + 2);
+      assert.deepEqual(
+        thread.tweets.filter((t) => t.role === 'body').map((t) => t.heading),
+        sources.map((source, i) => `${source.title} (${i + 1})`)
+      );
+      assert.ok(thread.tweets.every((t) => weightedLength(t.text) <= 280));
+    }
+  });
+});
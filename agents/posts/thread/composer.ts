@@ -0,0 +1,326 @@
+/**
+ * Thread Composer
+ *
+ * 長文 (Markdown 記事または検索で得たチャンク) を thread.md の構成に沿ったスレッドに分割する。
+ * - 1ツイート目: フック (記事の導入、なければテンプレートのフックパターン)
+ * - 本論: 見出し1つ = 1ツイート。収まらない場合は段落 → 文の境界で分割
+ * - 最終ツイート: まとめ + CTA + ハッシュタグ
+ * 導入やまとめを見出しから自動で作る場合は、フォーマットの最小文字数を満たすよう一文を補う。
+ * 見出しは【見出し】に変換し、見出しと本文の先頭は常に同じツイートに置く。
+ * 各ツイートは番号 (「🧵 1/N」「2/N」) 込みで重み付き文字数の上限に収める。
+ */
+
+import { weightedLength } from '../lint/weighted-length.js';
+import type { FormatSpec } from '../templates.js';
+
+export type ThreadRole = 'hook' | 'body' | 'summary';
+
+export interface ThreadTweet {
+  /** 1始まりの番号 */
+  number: number;
+  role: ThreadRole;
+  heading?: string;
+  text: string;
+}
+
+export interface Thread {
+  title: string;
+  total: number;
+  tweets: ThreadTweet[];
+  hashtags: string[];
+}
+
+export interface ThreadComposerOptions {
+  hashtags?: string[];
+  /** 最終ツイートの行動喚起 */
+  cta?: string;
+}
+
+export interface SourceText {
+  title?: string;
+  text: string;
+}
+
+interface Section {
+  heading?: string;
+  paragraphs: string[];
+}
+
+const DEFAULT_CTA = '気になった方はフォローして続きもチェック！';
+const THREAD_EMOJI = '🧵';
+const SUMMARY_HEADING = 'まとめ';
+
+export class ThreadComposer {
+  private readonly format: FormatSpec;
+  private readonly hashtags: string[];
+  private readonly cta: string;
+  private readonly maxLength: number;
+
+  constructor(format: FormatSpec, options: ThreadComposerOptions = {}) {
+    if (!format.constraints.tweets) {
+      throw new Error(`Format ${format.id} is not a thread format`);
+    }
+    this.format = format;
+    this.hashtags = (options.hashtags ?? []).map((tag) => (tag.startsWith('#') ? tag : `#${tag}`));
+    this.cta = options.cta ?? DEFAULT_CTA;
+    this.maxLength = format.constraints.characters?.max ?? 280;
+  }
+
+  /**
+   * Markdown 記事からスレッドを組み立てる
+   */
+  compose(markdown: string): Thread {
+    const { title, intro, sections } = parseArticle(markdown);
+    const summarySection = sections.find((s) => s.heading?.includes(SUMMARY_HEADING));
+    const bodySections = sections.filter((s) => s !== summarySection);
+
+    const budget = this.tweetBudget();
+
+    const hookText = intro.length > 0 ? intro.join('\n\n') : this.defaultHook(title, bodySections, budget);
+    // 導入が長い場合、収まらない分は見出しなしの本論として続ける
+    const [hook, ...overflow] = this.fit(hookText, budget);
+    const sectionsToSplit = overflow.length > 0 ? [{ paragraphs: [overflow.join('')] }, ...bodySections] : bodySections;
+    const body = sectionsToSplit.flatMap((section) => this.splitSection(section, budget));
+    const summary = this.summary(summarySection, bodySections, budget);
+
+    const drafts: Omit<ThreadTweet, 'number'>[] = [
+      { role: 'hook', text: hook },
+      ...body.map((part) => ({ role: 'body' as const, heading: part.heading, text: part.text })),
+      { role: 'summary', heading: SUMMARY_HEADING, text: summary },
+    ];
+
+    const { min, max } = this.format.constraints.tweets!;
+    if (drafts.length > max) {
+      throw new Error(
+        `Article needs ${drafts.length} tweets, but ${this.format.id} allows at most ${max}. ` +
+          'Shorten the article or split it into several threads.'
+      );
+    }
+    if (drafts.length < min) {
+      throw new Error(`Article yields only ${drafts.length} tweets; ${this.format.id} needs at least ${min}.`);
+    }
+
+    const total = drafts.length;
+    const tweets = drafts.map((draft, i) => ({
+      ...draft,
+      number: i + 1,
+      text: numbered(draft.text, i + 1, total),
+    }));
+
+    return { title, total, tweets, hashtags: this.hashtags };
+  }
+
+  /**
+   * 検索結果などのチャンク群からスレッドを組み立てる。
+   * 1チャンク = 1トピックとして、各チャンクの先頭から1ツイートに収まる分だけを使う。
+   * フックとまとめの分を除き、ツイート数の上限を超えるチャンクは使わない。
+   */
+  composeFromSources(topic: string, sources: SourceText[]): Thread {
+    const maxBody = this.format.constraints.tweets!.max - 2;
+    // compose() と同じ予約で切り出さないと、抜粋が splitSection で2ツイートに分かれてしまう
+    const budget = this.tweetBudget();
+    const seen = new Set<string>();
+
+    const sections = sources
+      .filter((source) => !seen.has(source.text) && seen.add(source.text))
+      .slice(0, maxBody)
+      .map((source, i) => {
+        const heading = source.title && source.title !== topic ? `${source.title} (${i + 1})` : `ポイント${i + 1}`;
+        const [excerpt] = this.fit(source.text.replace(/^#+\s+.*$/gm, '').trim(), budget - weightedLength(`【${heading}】\n\n`));
+        return `## ${heading}\n\n${excerpt}`;
+      });
+
+    return this.compose([`# ${topic}`, ...sections].join('\n\n'));
+  }
+
+  /**
+   * 番号を除いた1ツイートの文字数予算。番号は最大「🧵 10/10」を想定して予約し、
+   * 本文の分割後に実際の値を振る
+   */
+  private tweetBudget(): number {
+    const maxTweets = this.format.constraints.tweets!.max;
+    return this.maxLength - weightedLength(`${THREAD_EMOJI} ${maxTweets}/${maxTweets}\n`);
+  }
+
+  /**
+   * 導入がない記事のフック。テンプレートのフックパターンに本論の見出し一覧を添えて、
+   * 1ツイートの最小文字数 (constraints.characters.min) を満たすようにする
+   */
+  private defaultHook(title: string, sections: Section[], budget: number): string {
+    const pattern = this.format.hooks[0];
+    const min = this.format.constraints.characters?.min ?? 0;
+    const headings = sections.flatMap((section) => (section.heading ? [section.heading] : []));
+
+    let hook = pattern ? `${pattern.replace(/〇〇/g, title)}。` : title;
+    if (headings.length > 0) {
+      hook += `\n\nこのスレッドでは次の${headings.length}点を解説します。`;
+    }
+    for (const heading of headings) {
+      if (weightedLength(`${hook}\n・${heading}`) > budget) {
+        break;
+      }
+      hook += `\n・${heading}`;
+    }
+
+    const teaser = `\n\n最後に${SUMMARY_HEADING}もあるので、保存して読み返してください。`;
+    if (weightedLength(hook) < min && weightedLength(hook + teaser) <= budget) {
+      hook += teaser;
+    }
+    return hook;
+  }
+
+  private splitSection(section: Section, budget: number): { heading?: string; text: string }[] {
+    const label = section.heading ? `【${section.heading}】\n\n` : '';
+    const parts: { heading?: string; text: string }[] = [];
+    let current = label;
+
+    const push = () => {
+      if (current.trim() && current !== label) {
+        parts.push({ heading: section.heading, text: current.trim() });
+      }
+    };
+
+    const units = section.paragraphs.flatMap((paragraph) =>
+      weightedLength(paragraph) <= budget - weightedLength(label) ? [paragraph] : this.fit(paragraph, budget - weightedLength(label))
+    );
+
+    for (const unit of units) {
+      const candidate = current === label || !current ? current + unit : `${current}\n\n${unit}`;
+      if (weightedLength(candidate) <= budget) {
+        current = candidate;
+      } else {
+        push();
+        current = unit;
+      }
+    }
+    push();
+
+    return parts;
+  }
+
+  private summary(section: Section | undefined, bodySections: Section[], budget: number): string {
+    const tail = [this.cta, this.hashtags.join(' ')].filter(Boolean).join('\n\n');
+    const head = `【${SUMMARY_HEADING}】\n\n`;
+    const points = section
+      ? section.paragraphs
+      : bodySections.filter((s) => s.heading).map((s, i) => `${i + 1}. ${s.heading}`);
+
+    let content = '';
+    for (const point of points) {
+      const next = content ? `${content}\n${point}` : point;
+      if (weightedLength(`${head}${next}\n\n${tail}`) > budget) {
+        break;
+      }
+      content = next;
+    }
+
+    // 見出し一覧だけでは最小文字数に届かない場合は締めの一文を添える
+    const min = this.format.constraints.characters?.min ?? 0;
+    const closing = 'できるところから1つずつ試してみてください。';
+    const text = (lines: string[]) => lines.filter(Boolean).join('\n\n');
+    const withClosing = text([head.trim(), content, closing, tail]);
+    if (weightedLength(text([head.trim(), content, tail])) < min && weightedLength(withClosing) <= budget) {
+      return withClosing;
+    }
+    return text([head.trim(), content, tail]);
+  }
+
+  /**
+   * テキストを文境界で budget 以内の断片に分ける。1文が長すぎる場合は文字単位で切る。
+   */
+  private fit(text: string, budget: number): string[] {
+    const sentences = text.match(/[^。！？!?\n]+[。！？!?]*\n?|\n/g) ?? [text];
+    const parts: string[] = [];
+    let current = '';
+
+    for (const sentence of sentences.flatMap((s) => hardWrap(s, budget))) {
+      if (weightedLength(current + sentence) <= budget) {
+        current += sentence;
+      } else {
+        if (current.trim()) {
+          parts.push(current.trim());
+        }
+        current = sentence;
+      }
+    }
+    if (current.trim()) {
+      parts.push(current.trim());
+    }
+
+    return parts;
+  }
+}
+
+export function threadToTweets(thread: Thread): string[] {
+  return thread.tweets.map((tweet) => tweet.text);
+}
+
+function numbered(text: string, number: number, total: number): string {
+  if (number === 1) {
+    return `${THREAD_EMOJI} 1/${total}\n${text}`;
+  }
+  // 【見出し】で始まるツイートは番号と同じ行に見出しを置く (thread.md の例に合わせる)
+  return text.startsWith('【') ? `${number}/${total} ${text}` : `${number}/${total}\n${text}`;
+}
+
+function parseArticle(markdown: string): { title: string; intro: string[]; sections: Section[] } {
+  const blocks = markdown
+    .replace(/\r\n?/g, '\n')
+    .split(/\n\s*\n/)
+    .map((block) => block.trim())
+    .filter(Boolean);
+
+  let title = '';
+  const intro: string[] = [];
+  const sections: Section[] = [];
+
+  for (const block of blocks) {
+    const lines = block.split('\n');
+    const heading = lines[0].match(/^(#{1,6})\s+(.+)$/) ?? lines[0].match(/^()【(.+)】$/);
+
+    if (heading && heading[1] === '#' && !title) {
+      title = heading[2].trim();
+      pushParagraph(lines.slice(1).join('\n'), intro);
+      continue;
+    }
+
+    if (heading) {
+      const section: Section = { heading: heading[2].trim(), paragraphs: [] };
+      pushParagraph(lines.slice(1).join('\n'), section.paragraphs);
+      sections.push(section);
+      continue;
+    }
+
+    const target = sections.length > 0 ? sections[sections.length - 1].paragraphs : intro;
+    pushParagraph(block, target);
+  }
+
+  return { title: title || sections[0]?.heading || '', intro, sections };
+}
+
+function pushParagraph(text: string, into: string[]): void {
+  const cleaned = text
+    .split('\n')
+    .map((line) => line.replace(/^\s*[-*]\s+/, '・').trimEnd())
+    .join('\n')
+    .trim();
+  if (cleaned) {
+    into.push(cleaned);
+  }
+}
+
+function hardWrap(sentence: string, budget: number): string[] {
+  if (weightedLength(sentence) <= budget) {
+    return [sentence];
+  }
+  const parts: string[] = [];
+  let current = '';
+  for (const char of sentence) {
+    if (weightedLength(current + char) > budget) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  return current ? [...parts, current] : parts;
+}
@@ -0,0 +1,88 @@
+/**
+ * Economic Circuit Breaker - 月次コスト判定
+ *
+ * Usage:
+ *   npx tsx scripts/economic-check.ts [--month YYYY-MM]
+ *
+ * .ai/metrics/cost-history/usage-YYYY-MM.jsonl に記録された API 使用量を料金テーブルで集計し、
+ * BUDGET.yml のしきい値で OK / WARNING / EMERGENCY を判定する。
+ * 使用量ファイルは API を呼んだマシンからコミット・push されたものを読む (agents/economic/usage.ts)。
+ * このプロジェクトの API 呼び出し以外のコスト (Firebase 等) は FIREBASE_COST_USD で加算する。
+ * GITHUB_OUTPUT が設定されていればステップ出力として書き出す。
+ */
+
+import { promises as fs } from 'fs';
+import { evaluateBudget, loadBudget } from '../agents/economic/budget.js';
+import { monthOf, UsageRecorder } from '../agents/economic/usage.js';
+
+async function main() {
+  const args = process.argv.slice(2);
+  const monthIndex = args.indexOf('--month');
+  const month = monthIndex >= 0 ? args[monthIndex + 1] : monthOf(new Date());
+
+  const budget = await loadBudget();
+  const usage = await new UsageRecorder().summarize(month);
+
+  const anthropic = usage.byService.anthropic ?? 0;
+  const openai = usage.byService.openai ?? 0;
+  const firebase = parseFloat(process.env.FIREBASE_COST_USD || '0');
+  if (!Number.isFinite(firebase)) {
+    throw new Error(`Invalid FIREBASE_COST_USD: ${process.env.FIREBASE_COST_USD}`);
+  }
+
+  const result = evaluateBudget(usage.totalUsd + firebase, budget);
+  const usd = (value: number) => value.toFixed(2);
+  const percent = (result.consumptionRate * 100).toFixed(2);
+
+  console.log('═══════════════════════════════════════');
+  console.log('📊 ECONOMIC GOVERNANCE PROTOCOL STATUS');
+  console.log('═══════════════════════════════════════');
+  console.log(`📅 Billing Period: ${month} (${usage.calls} recorded API calls)`);
+  console.log(`🕒 Last Recorded Call: ${usage.lastRecordedAt ?? 'none'}`);
+  console.log(`🤖 Anthropic API: $${usd(anthropic)} USD`);
+  console.log(`🧮 OpenAI Embeddings: $${usd(openai)} USD`);
+  console.log(`🔥 Firebase: $${usd(firebase)} USD`);
+  console.log(`💰 Total Cost: $${usd(result.totalCostUsd)} USD / $${usd(budget.monthlyBudgetUsd)} USD`);
+  console.log(`📈 Consumption Rate: ${percent}%`);
+  console.log(`⚠️ Warning Level: $${usd(result.warningAmountUsd)} USD (${budget.warningThreshold})`);
+  console.log(`🔴 Emergency Level: $${usd(result.emergencyAmountUsd)} USD (${budget.emergencyThreshold})`);
+  console.log('═══════════════════════════════════════');
+
+  const messages = {
+    OK: '✅ STATUS: OK - Within budget',
+    WARNING: '⚠️ STATUS: WARNING - Approaching budget limit',
+    EMERGENCY: '🚨 STATUS: EMERGENCY - Circuit Breaker will activate!',
+  } as const;
+  console.log(messages[result.status]);
+  if (usage.calls === 0) {
+    console.warn(
+      `⚠️ No API usage recorded for ${month}. Commit and push .ai/metrics/cost-history/usage-${month}.jsonl ` +
+        'from the machines that run x-generate-post / x-knowledge-add.'
+    );
+  }
+
+  if (process.env.GITHUB_OUTPUT) {
+    const outputs: Record<string, string | number> = {
+      monthly_budget: budget.monthlyBudgetUsd,
+      warning_threshold: budget.warningThreshold,
+      emergency_threshold: budget.emergencyThreshold,
+      anthropic_cost: usd(anthropic),
+      openai_cost: usd(openai),
+      firebase_cost: usd(firebase),
+      total_cost: usd(result.totalCostUsd),
+      consumption_rate: result.consumptionRate.toFixed(4),
+      consumption_percent: percent,
+      api_calls: usage.calls,
+      last_recorded_at: usage.lastRecordedAt ?? 'none',
+      disable_workflows: budget.disableWorkflows.join(' '),
+      status: result.status,
+    };
+    const lines = Object.entries(outputs).map(([key, value]) => `${key}=${value}`);
+    await fs.appendFile(process.env.GITHUB_OUTPUT, lines.join('\n') + '\n', 'utf-8');
+  }
+}
+
+main().catch((error) => {
+  console.error('Error checking economic status:', error);
+  process.exit(1);
+});
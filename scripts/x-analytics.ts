@@ -0,0 +1,86 @@
+/**
+ * エンゲージメント分析 (analytics カテゴリ)
+ *
+ * Usage:
+ *   npx tsx scripts/x-analytics.ts import <tweet_activity.csv>
+ *   npx tsx scripts/x-analytics.ts report [--days 7] [--until <ISO8601>] [--profile <id>] [--out <dir>] [--json]
+ *
+ * import は X アナリティクスのツイートアクティビティ CSV を取り込み、生成履歴とひも付ける。
+ * report は週次のエンゲージメント率レポートを Markdown (既定) または JSON で出力する。
+ * --out を指定すると knowledge/categories/analytics/ などに kpi-YYYY-MM-DD.{md,json} を書き出す
+ * (x-knowledge-add で取り込めば analytics カテゴリのナレッジになる)。
+ */
+
+import { promises as fs } from 'fs';
+import * as path from 'path';
+import { parseActivityCsv } from '../agents/analytics/activity-csv.js';
+import { MetricsStore } from '../agents/analytics/metrics-store.js';
+import { buildKpiReport, renderMarkdown } from '../agents/analytics/report.js';
+import { HistoryStore } from '../agents/posts/history/store.js';
+import { loadScheduleConfig } from '../agents/posts/scheduler/config.js';
+import { PublishQueue } from '../agents/posts/scheduler/queue.js';
+
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+  const option = (name: string) => {
+    const i = args.indexOf(`--${name}`);
+    return i >= 0 ? args[i + 1] : undefined;
+  };
+  const store = new MetricsStore();
+
+  switch (command) {
+    case 'import': {
+      if (!args[0]) {
+        throw new Error('Usage: npx tsx scripts/x-analytics.ts import <tweet_activity.csv>');
+      }
+      const { timezone } = await loadScheduleConfig();
+      const activities = parseActivityCsv(await fs.readFile(args[0], 'utf-8'), timezone);
+      const summary = await store.import(activities, new HistoryStore(), new PublishQueue());
+      console.log(
+        `📊 Imported: ${summary.imported}, Updated: ${summary.updated}, ` +
+          `Matched to history: ${summary.matched}, Unmatched: ${summary.unmatched}`
+      );
+      break;
+    }
+
+    case 'report': {
+      const config = await loadScheduleConfig();
+      const until = option('until') ? new Date(option('until')!) : new Date();
+      const days = parseInt(option('days') ?? '7', 10);
+      if (isNaN(until.getTime()) || !(days > 0)) {
+        throw new Error('Invalid --until or --days');
+      }
+      const since = new Date(until.getTime() - days * 24 * 60 * 60 * 1000);
+      const profile = config.profiles[option('profile') ?? config.defaultProfile];
+
+      const report = buildKpiReport(await store.load(), {
+        since,
+        until,
+        timezone: config.timezone,
+        currentSlots: profile?.slots,
+      });
+      const markdown = renderMarkdown(report);
+
+      const out = option('out');
+      if (out) {
+        const base = path.join(out, `kpi-${until.toISOString().slice(0, 10)}`);
+        await fs.mkdir(out, { recursive: true });
+        await fs.writeFile(`${base}.md`, markdown, 'utf-8');
+        await fs.writeFile(`${base}.json`, JSON.stringify(report, null, 2) + '\n', 'utf-8');
+        console.error(`📝 Report written to ${base}.md / .json`);
+      }
+
+      console.log(args.includes('--json') ? JSON.stringify(report, null, 2) : markdown);
+      break;
+    }
+
+    default:
+      console.error('Usage: npx tsx scripts/x-analytics.ts <import|report> [...]');
+      process.exit(1);
+  }
+}
+
+main().catch((error) => {
+  console.error('Error running analytics:', error);
+  process.exit(1);
+});
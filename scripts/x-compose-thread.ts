@@ -0,0 +1,82 @@
+/**
+ * 長文からのスレッド作成
+ *
+ * Usage:
+ *   npx tsx scripts/x-compose-thread.ts <article.md> [--hashtags "#SNSマーケティング #運用術"] [--cta <text>] [--json]
+ *   npx tsx scripts/x-compose-thread.ts --query <検索クエリ> [--category <name>]... [--limit <n>] [--json]
+ *
+ * --query を指定すると記事の代わりにナレッジ検索の結果からスレッドを組み立てる。
+ * 出力後に投稿チェックの結果を表示する。
+ */
+
+import { promises as fs } from 'fs';
+import { KnowledgeSearcher } from '../agents/knowledge/search/hybrid-search.js';
+import type { KnowledgeCategory } from '../agents/knowledge/types.js';
+import { formatReport, PostLinter } from '../agents/posts/lint/linter.js';
+import { TemplateLibrary } from '../agents/posts/templates.js';
+import { ThreadComposer, threadToTweets, type Thread } from '../agents/posts/thread/composer.js';
+
+async function main() {
+  const args = process.argv.slice(2);
+  const categories: KnowledgeCategory[] = [];
+  let file: string | undefined;
+  let query: string | undefined;
+  let hashtags: string[] = [];
+  let cta: string | undefined;
+  let limit: number | undefined;
+  let json = false;
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--query') {
+      query = args[++i];
+    } else if (arg === '--category') {
+      categories.push(args[++i] as KnowledgeCategory);
+    } else if (arg === '--limit') {
+      limit = parseInt(args[++i], 10);
+    } else if (arg === '--hashtags') {
+      hashtags = args[++i].split(/\s+/).filter(Boolean);
+    } else if (arg === '--cta') {
+      cta = args[++i];
+    } else if (arg === '--json') {
+      json = true;
+    } else {
+      file = arg;
+    }
+  }
+
+  if (!file && !query) {
+    console.error('Usage: npx tsx scripts/x-compose-thread.ts <article.md> | --query <検索クエリ> [--hashtags "#a #b"] [--json]');
+    process.exit(1);
+  }
+
+  const templates = new TemplateLibrary();
+  const composer = new ThreadComposer(await templates.loadFormat('thread'), { hashtags, cta });
+
+  let thread: Thread;
+  if (query) {
+    const results = await new KnowledgeSearcher().search(query, { categories, limit });
+    thread = composer.composeFromSources(
+      query,
+      results.sort((a, b) => a.chunkId.localeCompare(b.chunkId, undefined, { numeric: true }))
+    );
+  } else {
+    thread = composer.compose(await fs.readFile(file!, 'utf-8'));
+  }
+
+  const linter = await PostLinter.load('thread', 'professional', templates);
+  const report = linter.lint(threadToTweets(thread));
+
+  if (json) {
+    console.log(JSON.stringify({ thread, lint: report }, null, 2));
+    return;
+  }
+
+  console.log(threadToTweets(thread).join('\n\n---\n\n'));
+  console.log(`\n${formatReport(report)}`);
+}
+
+main().catch((error) => {
+  console.error('Error composing thread:', error);
+  process.exit(1);
+});
@@ -0,0 +1,101 @@
+/**
+ * /x-generate-post [トピック]
+ *
+ * Usage:
+ *   npx tsx scripts/x-generate-post.ts <topic> [--format single|thread] [--style professional]
+ *     [--pattern <name>] [--category <name>]... [--provider anthropic|mock] [--dry-run] [--force]
+ *
+ * --dry-run は生成結果を表示するだけで履歴に保存しない。
+ * 保存前に投稿チェックと過去投稿との類似チェックを行い、
+ * 不合格なら保存しない (--force で強制保存)。
+ */
+
+import { PostGenerator } from '../agents/posts/generator.js';
+import { DuplicatePostError, HistoryStore } from '../agents/posts/history/store.js';
+import { formatReport, PostLinter } from '../agents/posts/lint/linter.js';
+import { createLLMProvider } from '../agents/posts/llm/provider.js';
+import type { KnowledgeCategory } from '../agents/knowledge/types.js';
+
+async function main() {
+  const args = process.argv.slice(2);
+  const terms: string[] = [];
+  const categories: KnowledgeCategory[] = [];
+  let format: string | undefined;
+  let style: string | undefined;
+  let pattern: string | undefined;
+  let provider: string | undefined;
+  let dryRun = false;
+  let force = false;
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--format') {
+      format = args[++i];
+    } else if (arg === '--style') {
+      style = args[++i];
+    } else if (arg === '--pattern') {
+      pattern = args[++i];
+    } else if (arg === '--category') {
+      categories.push(args[++i] as KnowledgeCategory);
+    } else if (arg === '--provider') {
+      provider = args[++i];
+    } else if (arg === '--dry-run') {
+      dryRun = true;
+    } else if (arg === '--force') {
+      force = true;
+    } else {
+      terms.push(arg);
+    }
+  }
+
+  const topic = terms.join(' ').trim();
+  if (!topic) {
+    console.error('Usage: npx tsx scripts/x-generate-post.ts <topic> [--format single|thread] [--provider mock]');
+    process.exit(1);
+  }
+
+  const generator = new PostGenerator({ provider: createLLMProvider(provider) });
+  const post = await generator.generate({ topic, format, style, pattern, categories });
+
+  console.log(`📝 ${post.format}${post.pattern ? ` / ${post.pattern}` : ''} / ${post.style}\n`);
+  console.log(post.content.tweets ? post.content.tweets.join('\n\n---\n\n') : post.content.text);
+  console.log(`\n📚 Sources (${post.retrieval}):`);
+  for (const source of post.sources) {
+    console.log(`  - ${source.title} — ${source.source} (${source.score.toFixed(3)})`);
+  }
+
+  const linter = await PostLinter.load(post.format, post.style);
+  const report = linter.lint(post.content.tweets ?? post.content.text);
+  console.log(`\n${formatReport(report)}`);
+
+  if (!report.passed && !dryRun && !force) {
+    console.error('\n❌ Post failed checks; not saved. Fix the issues above or re-run with --force.');
+    process.exit(1);
+  }
+
+  const history = new HistoryStore();
+
+  if (dryRun) {
+    const matches = await history.findSimilar(post.content.text);
+    for (const match of matches) {
+      console.warn(`⚠️ Similar to ${match.entry.id} (${match.similarity.toFixed(2)}): ${match.entry.topic}`);
+    }
+    return;
+  }
+
+  try {
+    const entry = await history.add(post, { allowDuplicates: force });
+    console.log(`\n✅ Saved as draft: ${history.pathFor(entry.id)}`);
+  } catch (error) {
+    if (error instanceof DuplicatePostError) {
+      console.error(`\n❌ ${error.message}; not saved. Re-run with --force to keep it anyway.`);
+      process.exit(1);
+    }
+    throw error;
+  }
+}
+
+main().catch((error) => {
+  console.error('Error generating post:', error);
+  process.exit(1);
+});
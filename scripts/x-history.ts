@@ -0,0 +1,150 @@
+/**
+ * 生成履歴の管理
+ *
+ * Usage:
+ *   npx tsx scripts/x-history.ts list [--status draft|approved|posted] [--category <name>] [--format <id>]
+ *   npx tsx scripts/x-history.ts search <query> [--status ...] [--category ...]
+ *   npx tsx scripts/x-history.ts show <id>
+ *   npx tsx scripts/x-history.ts status <id> <draft|approved|posted>
+ *   npx tsx scripts/x-history.ts schedule <id> <ISO8601>
+ *   npx tsx scripts/x-history.ts check <file|-> [--threshold 0.5]
+ *   npx tsx scripts/x-history.ts export [--as csv|json] [--out <file>] [--status ...]
+ */
+
+import { promises as fs } from 'fs';
+import { toCsv, toJson } from '../agents/posts/history/export.js';
+import {
+  DEFAULT_SIMILARITY_THRESHOLD,
+  HistoryStore,
+  POST_STATUSES,
+  type HistoryEntry,
+  type HistoryFilter,
+  type PostStatus,
+} from '../agents/posts/history/store.js';
+import type { KnowledgeCategory } from '../agents/knowledge/types.js';
+
+const STATUS_ICONS: Record<PostStatus, string> = { draft: '📝', approved: '✅', posted: '📤' };
+
+function parseStatus(value: string | undefined): PostStatus | undefined {
+  if (value === undefined) {
+    return undefined;
+  }
+  if (!(POST_STATUSES as readonly string[]).includes(value)) {
+    throw new Error(`Unknown status: ${value} (expected one of ${POST_STATUSES.join(', ')})`);
+  }
+  return value as PostStatus;
+}
+
+function printEntries(entries: HistoryEntry[]): void {
+  if (entries.length === 0) {
+    console.log('No history entries.');
+    return;
+  }
+  for (const entry of entries) {
+    const schedule = entry.scheduledAt ? ` ⏰ ${entry.scheduledAt}` : '';
+    const preview = entry.content.text.replace(/\s+/g, ' ').slice(0, 40);
+    console.log(
+      `${STATUS_ICONS[entry.status]} ${entry.id}  [${entry.category}] ${entry.format}/${entry.pattern ?? '-'}  ${entry.topic}${schedule}`
+    );
+    console.log(`   ${preview}…`);
+  }
+}
+
+async function readText(source: string): Promise<string> {
+  if (source !== '-') {
+    const raw = await fs.readFile(source, 'utf-8');
+    return source.endsWith('.json') ? JSON.parse(raw).content.text : raw;
+  }
+  const chunks: Buffer[] = [];
+  for await (const chunk of process.stdin) {
+    chunks.push(chunk as Buffer);
+  }
+  return Buffer.concat(chunks).toString('utf-8');
+}
+
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+  const option = (name: string) => {
+    const i = args.indexOf(`--${name}`);
+    return i >= 0 ? args[i + 1] : undefined;
+  };
+  const positional = args.filter((arg, i) => !arg.startsWith('--') && !args[i - 1]?.startsWith('--'));
+  const filter: HistoryFilter = {
+    status: parseStatus(option('status')),
+    category: option('category') as KnowledgeCategory | undefined,
+    format: option('format'),
+  };
+
+  const store = new HistoryStore();
+
+  switch (command) {
+    case 'list':
+      printEntries(await store.list(filter));
+      break;
+
+    case 'search':
+      printEntries(await store.search(positional.join(' '), filter));
+      break;
+
+    case 'show':
+      console.log(JSON.stringify(await store.get(positional[0]), null, 2));
+      break;
+
+    case 'status': {
+      const [id, value] = positional;
+      if (!id || !value) {
+        throw new Error(`Usage: npx tsx scripts/x-history.ts status <id> <${POST_STATUSES.join('|')}>`);
+      }
+      const entry = await store.update(id, { status: parseStatus(value) });
+      console.log(`${STATUS_ICONS[entry.status]} ${entry.id} → ${entry.status}`);
+      break;
+    }
+
+    case 'schedule': {
+      const at = new Date(positional[1]);
+      if (isNaN(at.getTime())) {
+        throw new Error(`Invalid schedule time: ${positional[1]}`);
+      }
+      const entry = await store.update(positional[0], { scheduledAt: at.toISOString() });
+      console.log(`⏰ ${entry.id} scheduled at ${entry.scheduledAt}`);
+      break;
+    }
+
+    case 'check': {
+      const threshold = parseFloat(option('threshold') ?? String(DEFAULT_SIMILARITY_THRESHOLD));
+      const matches = await store.findSimilar(await readText(positional[0] ?? '-'), threshold);
+      if (matches.length === 0) {
+        console.log(`✅ No similar posts (threshold ${threshold})`);
+        break;
+      }
+      for (const match of matches) {
+        console.log(
+          `⚠️ ${match.exact ? 'duplicate' : 'similar'} ${match.similarity.toFixed(2)}  ${match.entry.id}  ${match.entry.topic}`
+        );
+      }
+      process.exit(1);
+    }
+
+    case 'export': {
+      const entries = await store.list(filter);
+      const output = (option('as') ?? 'json') === 'csv' ? toCsv(entries) : toJson(entries);
+      const out = option('out');
+      if (out) {
+        await fs.writeFile(out, output, 'utf-8');
+        console.log(`📦 Exported ${entries.length} entries to ${out}`);
+      } else {
+        process.stdout.write(output);
+      }
+      break;
+    }
+
+    default:
+      console.error('Usage: npx tsx scripts/x-history.ts <list|search|show|status|schedule|check|export> [...]');
+      process.exit(1);
+  }
+}
+
+main().catch((error) => {
+  console.error('Error managing history:', error);
+  process.exit(1);
+});
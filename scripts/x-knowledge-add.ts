@@ -0,0 +1,70 @@
+/**
+ * /x-knowledge-add [ファイルパス...]
+ *
+ * Usage:
+ *   npx tsx scripts/x-knowledge-add.ts [path...] [--category <name>] [--force] [--skip-embed]
+ *
+ * パス未指定時は knowledge/raw/ 全体を取り込む。
+ * 取り込み後、追加・更新されたアイテムを config.embedding のプロバイダで埋め込む。
+ */
+
+import { KnowledgeEmbedder } from '../agents/knowledge/embeddings/embedder.js';
+import { KnowledgeIngestor } from '../agents/knowledge/ingest.js';
+import type { KnowledgeCategory } from '../agents/knowledge/types.js';
+
+async function main() {
+  const args = process.argv.slice(2);
+  const paths: string[] = [];
+  let category: KnowledgeCategory | undefined;
+  let force = false;
+  let skipEmbed = false;
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--category') {
+      category = args[++i] as KnowledgeCategory;
+    } else if (arg === '--force') {
+      force = true;
+    } else if (arg === '--skip-embed') {
+      skipEmbed = true;
+    } else {
+      paths.push(arg);
+    }
+  }
+
+  const ingestor = new KnowledgeIngestor();
+  const results = await ingestor.ingest(paths.length > 0 ? paths : ['knowledge/raw'], { category, force });
+
+  const icons = { added: '✅', updated: '🔄', skipped: '⏭️', failed: '❌' } as const;
+  for (const result of results) {
+    const detail = result.error ?? `${result.item?.category}, ${result.item?.chunkCount} chunks`;
+    console.log(`${icons[result.status]} ${result.status.padEnd(7)} ${result.source} (${detail})`);
+  }
+
+  const count = (status: keyof typeof icons) => results.filter((r) => r.status === status).length;
+  console.log(
+    `\n📚 Added: ${count('added')}, Updated: ${count('updated')}, Skipped: ${count('skipped')}, Failed: ${count('failed')}`
+  );
+
+  const changed = results
+    .filter((r) => r.status === 'added' || r.status === 'updated')
+    .map((r) => r.item!.id);
+
+  if (!skipEmbed && changed.length > 0) {
+    const embedResults = await new KnowledgeEmbedder().embed({ itemIds: changed, force: true });
+    const embedFailures = embedResults.filter((r) => r.status === 'failed');
+    for (const failure of embedFailures) {
+      console.warn(`⚠️ Embedding skipped for ${failure.source}: ${failure.error}`);
+    }
+    console.log(`🧮 Embedded: ${embedResults.length - embedFailures.length}/${embedResults.length}`);
+  }
+
+  if (count('failed') > 0) {
+    process.exit(1);
+  }
+}
+
+main().catch((error) => {
+  console.error('Error adding knowledge:', error);
+  process.exit(1);
+});
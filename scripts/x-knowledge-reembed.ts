@@ -0,0 +1,79 @@
+/**
+ * 埋め込みの再生成 (プロバイダ切り替え)
+ *
+ * Usage:
+ *   npx tsx scripts/x-knowledge-reembed.ts [--provider openai|local] [--model <name>] [--dimension <n>]
+ *
+ * --provider を指定すると新しい設定で全アイテムを再埋め込みし、全件成功した場合のみ
+ * index.json の config.embedding を書き換える (失敗時は既存の埋め込み・設定をそのまま残す)。
+ * 未指定時は現在の設定で全件を再生成する。
+ */
+
+import { KnowledgeEmbedder } from '../agents/knowledge/embeddings/embedder.js';
+import { LOCAL_EMBEDDING_DIMENSION, LOCAL_EMBEDDING_MODEL } from '../agents/knowledge/embeddings/local.js';
+import { EMBEDDING_PROVIDERS } from '../agents/knowledge/embeddings/provider.js';
+import { KnowledgeIndexStore } from '../agents/knowledge/index-store.js';
+
+const PROVIDER_DEFAULTS: Record<string, { model: string; dimension: number }> = {
+  openai: { model: 'text-embedding-3-small', dimension: 1536 },
+  local: { model: LOCAL_EMBEDDING_MODEL, dimension: LOCAL_EMBEDDING_DIMENSION },
+};
+
+async function main() {
+  const args = process.argv.slice(2);
+  const option = (name: string) => {
+    const i = args.indexOf(`--${name}`);
+    return i >= 0 ? args[i + 1] : undefined;
+  };
+
+  const store = new KnowledgeIndexStore();
+  const index = await store.load();
+  const provider = option('provider');
+  const previous = index.config.embedding;
+  let next = previous;
+
+  if (provider) {
+    if (!(EMBEDDING_PROVIDERS as readonly string[]).includes(provider)) {
+      throw new Error(`Unknown embedding provider: ${provider} (expected one of ${EMBEDDING_PROVIDERS.join(', ')})`);
+    }
+    const defaults = PROVIDER_DEFAULTS[provider];
+    const dimension = option('dimension');
+    next = {
+      provider,
+      model: option('model') ?? defaults.model,
+      dimension: dimension ? parseInt(dimension, 10) : defaults.dimension,
+    };
+    console.log(
+      `🔀 Embedding provider: ${previous.provider}/${previous.model} (${previous.dimension}) → ` +
+        `${next.provider}/${next.model} (${next.dimension})`
+    );
+  }
+
+  const embedder = new KnowledgeEmbedder(store);
+  const results = await embedder.embed({ force: true, config: provider ? next : undefined });
+
+  for (const result of results) {
+    const icon = result.status === 'failed' ? '❌' : '✅';
+    console.log(`${icon} ${result.source} (${result.error ?? `${result.vectors} vectors`})`);
+  }
+
+  const failed = results.filter((r) => r.status === 'failed').length;
+  console.log(`\n🧮 Re-embedded: ${results.length - failed}, Failed: ${failed}`);
+
+  if (failed > 0) {
+    if (provider) {
+      console.log(`↩️  Kept embedding provider ${previous.provider}/${previous.model} (${previous.dimension})`);
+    }
+    process.exit(1);
+  }
+
+  if (provider) {
+    store.data.config.embedding = next;
+    await store.save();
+  }
+}
+
+main().catch((error) => {
+  console.error('Error re-embedding knowledge:', error);
+  process.exit(1);
+});
@@ -0,0 +1,70 @@
+/**
+ * /x-knowledge-search [検索クエリ]
+ *
+ * Usage:
+ *   npx tsx scripts/x-knowledge-search.ts <query> [--limit <n>] [--category <name>]...
+ *     [--mode hybrid|vector|keyword] [--min-similarity <0-1>] [--json]
+ */
+
+import { KnowledgeSearcher, type SearchMode } from '../agents/knowledge/search/hybrid-search.js';
+import type { KnowledgeCategory } from '../agents/knowledge/types.js';
+
+async function main() {
+  const args = process.argv.slice(2);
+  const terms: string[] = [];
+  const categories: KnowledgeCategory[] = [];
+  let limit: number | undefined;
+  let minSimilarity: number | undefined;
+  let mode: SearchMode | undefined;
+  let json = false;
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--limit') {
+      limit = parseInt(args[++i], 10);
+    } else if (arg === '--category') {
+      categories.push(args[++i] as KnowledgeCategory);
+    } else if (arg === '--mode') {
+      mode = args[++i] as SearchMode;
+    } else if (arg === '--min-similarity') {
+      minSimilarity = parseFloat(args[++i]);
+    } else if (arg === '--json') {
+      json = true;
+    } else {
+      terms.push(arg);
+    }
+  }
+
+  const query = terms.join(' ').trim();
+  if (!query) {
+    console.error('Usage: npx tsx scripts/x-knowledge-search.ts <query> [--limit <n>] [--category <name>] [--json]');
+    process.exit(1);
+  }
+
+  const searcher = new KnowledgeSearcher();
+  const results = await searcher.search(query, { limit, minSimilarity, categories, mode });
+
+  if (json) {
+    console.log(JSON.stringify({ query, results }, null, 2));
+    return;
+  }
+
+  if (results.length === 0) {
+    console.log(`🔍 No results for "${query}"`);
+    return;
+  }
+
+  console.log(`🔍 ${results.length} results for "${query}"\n`);
+  results.forEach((result, i) => {
+    console.log(`${i + 1}. [${result.category}] ${result.title} — ${result.source}`);
+    console.log(
+      `   score ${result.score.toFixed(3)} (vector ${result.vectorScore.toFixed(3)}, keyword ${result.keywordScore.toFixed(3)})`
+    );
+    console.log(`   ${result.snippet}\n`);
+  });
+}
+
+main().catch((error) => {
+  console.error('Error searching knowledge:', error);
+  process.exit(1);
+});
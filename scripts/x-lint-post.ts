@@ -0,0 +1,69 @@
+/**
+ * 投稿チェック (テンプレートのチェックリストの自動検証)
+ *
+ * Usage:
+ *   npx tsx scripts/x-lint-post.ts <file|-> [--format single|thread] [--style professional] [--json]
+ *
+ * 入力は投稿本文のテキスト (スレッドは「---」だけの行で区切る)、
+ * または history/generated-posts/ の JSON。JSON の場合は記録された format/style を使う。
+ * 不合格のチェックがあれば終了コード 1 を返すため、保存前のゲートとして使える。
+ */
+
+import { promises as fs } from 'fs';
+import { formatReport, PostLinter } from '../agents/posts/lint/linter.js';
+import { TWEET_SEPARATOR } from '../agents/posts/prompt.js';
+
+async function readInput(source: string): Promise<string> {
+  if (source !== '-') {
+    return fs.readFile(source, 'utf-8');
+  }
+  const chunks: Buffer[] = [];
+  for await (const chunk of process.stdin) {
+    chunks.push(chunk as Buffer);
+  }
+  return Buffer.concat(chunks).toString('utf-8');
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const option = (name: string) => {
+    const i = args.indexOf(`--${name}`);
+    return i >= 0 ? args[i + 1] : undefined;
+  };
+  const source = args.find((arg, i) => !arg.startsWith('--') && !args[i - 1]?.match(/^--(format|style)$/));
+
+  if (!source) {
+    console.error('Usage: npx tsx scripts/x-lint-post.ts <file|-> [--format single|thread] [--style professional] [--json]');
+    process.exit(1);
+  }
+
+  const raw = await readInput(source);
+  let post: string | string[];
+  let format = option('format');
+  let style = option('style');
+
+  if (source.endsWith('.json')) {
+    const generated = JSON.parse(raw);
+    post = generated.content.tweets ?? generated.content.text;
+    format ??= generated.format;
+    style ??= generated.style;
+  } else {
+    const tweets = raw.split(new RegExp(`^\\s*${TWEET_SEPARATOR}\\s*$`, 'm')).map((t) => t.trim()).filter(Boolean);
+    post = tweets.length > 1 ? tweets : raw;
+    format ??= tweets.length > 1 ? 'thread' : 'single';
+  }
+
+  const linter = await PostLinter.load(format!, style ?? 'professional');
+  const report = linter.lint(post);
+
+  console.log(args.includes('--json') ? JSON.stringify(report, null, 2) : formatReport(report));
+
+  if (!report.passed) {
+    process.exit(1);
+  }
+}
+
+main().catch((error) => {
+  console.error('Error linting post:', error);
+  process.exit(1);
+});
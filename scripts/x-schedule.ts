@@ -0,0 +1,103 @@
+/**
+ * 投稿スケジューラ
+ *
+ * Usage:
+ *   npx tsx scripts/x-schedule.ts plan [--profile general|business|homemaker] [--from <ISO8601>] [--days 14]
+ *   npx tsx scripts/x-schedule.ts list
+ *   npx tsx scripts/x-schedule.ts remove <postId>
+ *   npx tsx scripts/x-schedule.ts publish [--adapter file|x] [--now <ISO8601>]
+ *
+ * plan は approved の履歴を knowledge/schedule.json のプロファイルの時間帯に割り当てる。
+ * publish は予定時刻を過ぎたキューを投稿する。キュー (publish-queue.json) と生成履歴は
+ * .gitignore 対象でリポジトリには含まれないため、それらがあるマシンの cron などから定期実行する。
+ */
+
+import { createPublishAdapter } from '../agents/posts/scheduler/adapters/adapter.js';
+import { loadScheduleConfig } from '../agents/posts/scheduler/config.js';
+import { PublishQueue } from '../agents/posts/scheduler/queue.js';
+import { PostScheduler } from '../agents/posts/scheduler/scheduler.js';
+
+function parseDate(value: string | undefined): Date | undefined {
+  if (value === undefined) {
+    return undefined;
+  }
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new Error(`Invalid date: ${value}`);
+  }
+  return date;
+}
+
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+  const option = (name: string) => {
+    const i = args.indexOf(`--${name}`);
+    return i >= 0 ? args[i + 1] : undefined;
+  };
+
+  const config = await loadScheduleConfig();
+  const queue = new PublishQueue();
+  const scheduler = new PostScheduler(config, queue);
+  const local = (iso: string) =>
+    new Date(iso).toLocaleString('ja-JP', { timeZone: config.timezone, dateStyle: 'short', timeStyle: 'short' });
+
+  switch (command) {
+    case 'plan': {
+      const days = option('days');
+      const result = await scheduler.plan({
+        profile: option('profile'),
+        from: parseDate(option('from')),
+        days: days ? parseInt(days, 10) : undefined,
+      });
+      for (const item of result.scheduled) {
+        console.log(`⏰ ${local(item.slot)}  [${item.category}] ${item.postId}`);
+      }
+      console.log(`\n📅 Scheduled: ${result.scheduled.length}, Unscheduled: ${result.unscheduled.length}`);
+      for (const entry of result.unscheduled) {
+        console.warn(`⚠️ No free slot for ${entry.id} (${entry.topic}); increase --days or maxPostsPerDay`);
+      }
+      break;
+    }
+
+    case 'list': {
+      const items = await queue.load();
+      if (items.length === 0) {
+        console.log('Queue is empty.');
+      }
+      const icons = { queued: '⏳', published: '📤', failed: '❌' } as const;
+      for (const item of items) {
+        const detail = item.error ? ` — ${item.error}` : item.url ? ` — ${item.url}` : '';
+        console.log(`${icons[item.status]} ${local(item.slot)}  ${item.profile}/[${item.category}] ${item.postId}${detail}`);
+      }
+      break;
+    }
+
+    case 'remove': {
+      const removed = await scheduler.unschedule(args[0]);
+      console.log(removed ? `🗑️ Removed ${args[0]} from the queue` : `Post ${args[0]} is not queued`);
+      break;
+    }
+
+    case 'publish': {
+      const adapter = createPublishAdapter(option('adapter'));
+      const outcomes = await scheduler.publishDue(adapter, parseDate(option('now')));
+      for (const { item, ok } of outcomes) {
+        console.log(`${ok ? '📤' : '❌'} ${item.postId} via ${adapter.name}${ok ? ` — ${item.url}` : ` — ${item.error}`}`);
+      }
+      console.log(`\n📊 Published: ${outcomes.filter((o) => o.ok).length}/${outcomes.length}`);
+      if (outcomes.some((o) => !o.ok)) {
+        process.exit(1);
+      }
+      break;
+    }
+
+    default:
+      console.error('Usage: npx tsx scripts/x-schedule.ts <plan|list|remove|publish> [...]');
+      process.exit(1);
+  }
+}
+
+main().catch((error) => {
+  console.error('Error scheduling posts:', error);
+  process.exit(1);
+});